@@ -0,0 +1,94 @@
+/**
+ * Historical Backfill Script
+ * Renders the logo for every day (or week) of a plan's life, from start_date to
+ * an end date or maturity, for the archive and the "plan journey" page
+ *
+ * Usage: node scripts/backfill.js [plan.json] [--end YYYY-MM-DD] [--step day|week]
+ *                                 [--levels history.json|csv] [--png 512,1024] [--out <dir>]
+ *   Frames are written to <out>/<slug>/frames/<YYYY-MM-DD>.svg (and _<size>.png);
+ *   existing frames are kept, so re-runs only render the missing days
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadRenderer } from './renderer.js';
+import { rootDir } from './paths.js';
+import { createRasteriser } from './rasterise.js';
+import { slugify } from './portfolio.js';
+import { loadLevelHistory } from './levels.js';
+import { frameDates, maturityDate, planAtDate } from '../src/utils/timeline.js';
+
+/**
+ * Main execution
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      end: { type: 'string' },
+      step: { type: 'string', default: 'day' },
+      levels: { type: 'string' },
+      png: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  const planPath = path.resolve(positionals[0] || path.join(rootDir, 'input.json'));
+  const data = JSON.parse(fs.readFileSync(planPath, 'utf-8'));
+  const levelsByDate = values.levels ? loadLevelHistory(path.resolve(values.levels)) : null;
+  const pngSizes = values.png ? values.png.split(',').map(size => parseInt(size, 10)) : [];
+  if (pngSizes.some(size => !Number.isFinite(size) || size <= 0)) {
+    throw new Error(`Invalid --png sizes "${values.png}"`);
+  }
+
+  const endDate = values.end || maturityDate(data);
+  const dates = frameDates(data.start_date, endDate, values.step);
+
+  const outputDir = path.resolve(values.out || path.join(rootDir, 'output'));
+  const framesDir = path.join(outputDir, slugify(data.plan_name || 'plan'), 'frames');
+  fs.mkdirSync(framesDir, { recursive: true });
+
+  // Deterministic file names by date; only dates with a missing file are rendered
+  const framePaths = (date) => [
+    path.join(framesDir, `${date}.svg`),
+    ...pngSizes.map(size => path.join(framesDir, `${date}_${size}.png`))
+  ];
+  const missing = dates.filter(date => framePaths(date).some(file => !fs.existsSync(file)));
+
+  console.log(`Backfill ${data.plan_name}: ${dates.length} frames (${values.step}), ${missing.length} to render`);
+
+  if (missing.length > 0) {
+    const renderer = await loadRenderer();
+    try {
+      const rasteriser = pngSizes.length > 0 ? await createRasteriser() : null;
+      for (const date of missing) {
+        const svg = renderer.renderLogoToSVG(planAtDate(data, date, levelsByDate));
+        fs.writeFileSync(path.join(framesDir, `${date}.svg`), svg);
+        for (const size of pngSizes) {
+          fs.writeFileSync(path.join(framesDir, `${date}_${size}.png`), rasteriser.renderPNG(svg, size));
+        }
+      }
+    } finally {
+      await renderer.close();
+    }
+  }
+
+  // Manifest of every frame in the range, for the plan journey page
+  const manifest = {
+    plan_name: data.plan_name,
+    start_date: data.start_date,
+    end_date: endDate,
+    step: values.step,
+    png_sizes: pngSizes,
+    frames: dates
+  };
+  fs.writeFileSync(path.join(framesDir, 'index.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+  console.log(`Rendered ${missing.length} frames into ${framesDir}`);
+}
+
+main().catch(err => {
+  console.error(`Backfill failed: ${err.message}`);
+  process.exitCode = 1;
+});
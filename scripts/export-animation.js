@@ -0,0 +1,177 @@
+/**
+ * Animated Lifecycle Export Script
+ * Turns a date range of a plan into a looping animated GIF or APNG, and/or a
+ * numbered PNG frame sequence for video tools (e.g. ffmpeg -i frame_%04d.png)
+ * Each frame is the DynamicLogo rendered server-side for that point in time:
+ * rings rotate with the date, observation arrows cross 12:00 and the "A" follows
+ * the level history, eased between days
+ *
+ * Usage: node scripts/export-animation.js [plan.json] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *          [--format gif,apng,frames] [--fps 12] [--duration 6] [--size 512]
+ *          [--ease linear|easeInQuad|easeOutQuad|easeInOutQuad] [--levels history.json|csv]
+ *          [--theme <name>] [--locale <tag>] [--out <dir>]
+ *   Defaults: the whole plan (start_date → maturity), GIF, 12 fps for 6 s at 512 px,
+ *   easing from design_tokens.pointer_ease, theme and locale from the plan
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import gifenc from 'gifenc';
+import UPNG from 'upng-js';
+import { loadRenderer } from './renderer.js';
+import { rootDir } from './paths.js';
+import { createRasteriser } from './rasterise.js';
+import { slugify } from './portfolio.js';
+import { loadLevelHistory } from './levels.js';
+import { EASINGS } from '../src/utils/geometry.js';
+import { THEMES, THEME_NAMES } from '../src/utils/themes.js';
+import { LOCALES } from '../src/utils/locale.js';
+import { animationFrames, maturityDate, planAtDate } from '../src/utils/timeline.js';
+
+const { GIFEncoder, quantize, applyPalette } = gifenc;
+
+const FORMATS = ['gif', 'apng', 'frames'];
+
+/**
+ * Encode RGBA frames as a looping GIF (per-frame palettes)
+ */
+function encodeGIF(frames, width, height, delay) {
+  const gif = GIFEncoder();
+  frames.forEach(rgba => {
+    const palette = quantize(rgba, 256);
+    gif.writeFrame(applyPalette(rgba, palette), width, height, { palette, delay, repeat: 0 });
+  });
+  gif.finish();
+  return Buffer.from(gif.bytes());
+}
+
+/**
+ * Encode RGBA frames as a looping lossless APNG
+ */
+function encodeAPNG(frames, width, height, delay) {
+  const buffers = frames.map(rgba => rgba.buffer.slice(rgba.byteOffset, rgba.byteOffset + rgba.byteLength));
+  return Buffer.from(UPNG.encode(buffers, width, height, 0, frames.map(() => delay)));
+}
+
+/**
+ * Parse a positive number option
+ */
+function positive(value, name) {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num <= 0) {
+    throw new Error(`--${name} must be a positive number (got "${value}")`);
+  }
+  return num;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      format: { type: 'string', default: 'gif' },
+      fps: { type: 'string', default: '12' },
+      duration: { type: 'string', default: '6' },
+      size: { type: 'string', default: '512' },
+      ease: { type: 'string' },
+      levels: { type: 'string' },
+      theme: { type: 'string' },
+      locale: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  const planPath = path.resolve(positionals[0] || path.join(rootDir, 'input.json'));
+  const plan = JSON.parse(fs.readFileSync(planPath, 'utf-8'));
+  if (values.theme && !THEMES[values.theme]) {
+    throw new Error(`Unknown theme "${values.theme}" (expected ${THEME_NAMES.join(', ')})`);
+  }
+  if (values.locale && !LOCALES.includes(values.locale)) {
+    throw new Error(`Unknown locale "${values.locale}" (expected ${LOCALES.join(', ')})`);
+  }
+  const data = { ...plan, ...(values.theme && { theme: values.theme }), ...(values.locale && { locale: values.locale }) };
+
+  const formats = values.format.split(',').map(f => f.trim());
+  const unknown = formats.filter(f => !FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format ${unknown.join(', ')} (expected ${FORMATS.join(', ')})`);
+  }
+
+  const fps = positive(values.fps, 'fps');
+  const duration = positive(values.duration, 'duration');
+  const size = Math.round(positive(values.size, 'size'));
+  const easeName = values.ease || data.design_tokens?.pointer_ease || 'easeOutQuad';
+  if (!EASINGS[easeName]) {
+    throw new Error(`Unknown easing "${easeName}" (expected ${Object.keys(EASINGS).join(', ')})`);
+  }
+
+  const from = values.from || data.start_date;
+  const to = values.to || maturityDate(data);
+  if (to < from) {
+    throw new Error(`--to ${to} is before --from ${from}`);
+  }
+
+  const levelsByDate = values.levels ? loadLevelHistory(path.resolve(values.levels)) : null;
+  const frameCount = Math.max(2, Math.round(fps * duration));
+  const frames = animationFrames(data, { from, to, frameCount, levelsByDate, ease: EASINGS[easeName] });
+
+  const outputDir = path.join(path.resolve(values.out || path.join(rootDir, 'output')), slugify(data.plan_name || 'plan'));
+  const baseName = `animation_${from}_${to}`;
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  console.log(`Rendering ${frameCount} frames (${from} → ${to}, ${fps} fps, ${size}px, ${easeName})`);
+
+  // Render every frame to raw pixels (and PNG files for the frame sequence)
+  const sequenceDir = path.join(outputDir, `${baseName}_frames`);
+  if (formats.includes('frames')) {
+    fs.mkdirSync(sequenceDir, { recursive: true });
+  }
+
+  const renderer = await loadRenderer();
+  const pixels = [];
+  let width = 0;
+  let height = 0;
+  try {
+    const rasteriser = await createRasteriser();
+    frames.forEach(({ date, level }, i) => {
+      const svg = renderer.renderLogoToSVG({ ...planAtDate(data, date), current_level: level });
+      if (formats.includes('frames')) {
+        const framePath = path.join(sequenceDir, `frame_${String(i + 1).padStart(4, '0')}.png`);
+        fs.writeFileSync(framePath, rasteriser.renderPNG(svg, size));
+      }
+      if (formats.includes('gif') || formats.includes('apng')) {
+        const image = rasteriser.renderPixels(svg, size);
+        width = image.width;
+        height = image.height;
+        pixels.push(image.pixels);
+      }
+    });
+  } finally {
+    await renderer.close();
+  }
+
+  const delay = Math.round(1000 / fps);
+  if (formats.includes('gif')) {
+    const gifPath = path.join(outputDir, `${baseName}.gif`);
+    fs.writeFileSync(gifPath, encodeGIF(pixels, width, height, delay));
+    console.log(`Generated: ${gifPath}`);
+  }
+  if (formats.includes('apng')) {
+    const apngPath = path.join(outputDir, `${baseName}.png`);
+    fs.writeFileSync(apngPath, encodeAPNG(pixels, width, height, delay));
+    console.log(`Generated: ${apngPath}`);
+  }
+  if (formats.includes('frames')) {
+    console.log(`Generated: ${frameCount} frames in ${sequenceDir}`);
+  }
+}
+
+main().catch(err => {
+  console.error(`Animation export failed: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,98 @@
+/**
+ * Lottie Export Script
+ * Writes a plan's lifecycle as Bodymovin/Lottie JSON for the mobile apps, which
+ * play it natively (lottie-ios / lottie-android) instead of in a WebView
+ * Ring rotation, the "A", the bottom arrow and the next-observation arrow are
+ * keyframed once per frame; observation dates are added as markers
+ *
+ * Usage: node scripts/export-lottie.js [plan.json] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *          [--fps 30] [--duration 6] [--ease linear|easeInQuad|easeOutQuad|easeInOutQuad]
+ *          [--levels history.json|csv] [--theme <name>] [--locale <tag>] [--out <dir>]
+ *   Defaults: the whole plan (start_date → maturity), 30 fps for 6 s,
+ *   easing from design_tokens.pointer_ease, theme and locale from the plan
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { rootDir } from './paths.js';
+import { slugify } from './portfolio.js';
+import { loadLevelHistory } from './levels.js';
+import { EASINGS } from '../src/utils/geometry.js';
+import { THEMES, THEME_NAMES } from '../src/utils/themes.js';
+import { LOCALES } from '../src/utils/locale.js';
+import { animationFrames, maturityDate } from '../src/utils/timeline.js';
+import { buildLottie } from '../src/utils/lottie.js';
+
+/**
+ * Parse a positive number option
+ */
+function positive(value, name) {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num <= 0) {
+    throw new Error(`--${name} must be a positive number (got "${value}")`);
+  }
+  return num;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      fps: { type: 'string', default: '30' },
+      duration: { type: 'string', default: '6' },
+      ease: { type: 'string' },
+      levels: { type: 'string' },
+      theme: { type: 'string' },
+      locale: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  const planPath = path.resolve(positionals[0] || path.join(rootDir, 'input.json'));
+  const plan = JSON.parse(fs.readFileSync(planPath, 'utf-8'));
+  if (values.theme && !THEMES[values.theme]) {
+    throw new Error(`Unknown theme "${values.theme}" (expected ${THEME_NAMES.join(', ')})`);
+  }
+  if (values.locale && !LOCALES.includes(values.locale)) {
+    throw new Error(`Unknown locale "${values.locale}" (expected ${LOCALES.join(', ')})`);
+  }
+  const data = { ...plan, ...(values.theme && { theme: values.theme }), ...(values.locale && { locale: values.locale }) };
+
+  const fps = positive(values.fps, 'fps');
+  const duration = positive(values.duration, 'duration');
+  const easeName = values.ease || data.design_tokens?.pointer_ease || 'easeOutQuad';
+  if (!EASINGS[easeName]) {
+    throw new Error(`Unknown easing "${easeName}" (expected ${Object.keys(EASINGS).join(', ')})`);
+  }
+
+  const from = values.from || data.start_date;
+  const to = values.to || maturityDate(data);
+  if (to < from) {
+    throw new Error(`--to ${to} is before --from ${from}`);
+  }
+
+  const levelsByDate = values.levels ? loadLevelHistory(path.resolve(values.levels)) : null;
+  const frameCount = Math.max(2, Math.round(fps * duration));
+  const frames = animationFrames(data, { from, to, frameCount, levelsByDate, ease: EASINGS[easeName] });
+  const lottie = buildLottie(data, { frames, fps });
+
+  const outputDir = path.join(path.resolve(values.out || path.join(rootDir, 'output')), slugify(data.plan_name || 'plan'));
+  fs.mkdirSync(outputDir, { recursive: true });
+  const lottiePath = path.join(outputDir, `lottie_${from}_${to}.json`);
+  fs.writeFileSync(lottiePath, JSON.stringify(lottie));
+
+  console.log(`Generated: ${lottiePath} (${frameCount} frames, ${lottie.layers.length} layers, ${fps} fps)`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Lottie export failed: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -1,280 +1,284 @@
 /**
  * Static SVG/PNG Generation Script
  * Generates nightly static images from data
+ * Renders the DynamicLogo component server-side, so output matches the site,
+ * then rasterises PNGs at 512 / 1024 / 2048 px wide. Every output keeps the logo's
+ * 512 × 600 viewBox, so the PNGs are 512 × 600, 1024 × 1200 and 2048 × 2400
  * 
- * Usage: node scripts/generate-static.js
+ * Usage: node scripts/generate-static.js [input] [--out <dir>] [--animated]
+ *          [--prices closes.csv|json] [--as-of <ISO date-time>] [--theme <name>]
+ *          [--locale <tag>]
+ *   input       A single plan file (default: input.json), a portfolio file holding an
+ *               array of plans or { "plans": [...] }, or a directory of plan JSON files.
+ *               Portfolios render each plan into output/<slug>/ plus output/index.json
+ *   --animated  Also write a self-animating SVG (inline CSS motion, no scripts) for
+ *               email, CMS and partner pages: logo_<date>_animated.svg / latest_animated.svg
+ *   --prices    Daily index closes; each plan's current_level / current_date come from
+ *               the latest official close at its market_close_time_gmt. A file with
+ *               gaps, duplicates or bad ticks fails the plan. The closes also decide
+ *               triggered / is_called / called_date: the autocall trail is printed and
+ *               any manual flag that disagrees is reported as a conflict. The barrier
+ *               is monitored per the plan's barrier_monitoring (default european)
+ *   --as-of     Instant to take the latest close at (default: now)
+ *   --theme     Colour theme for every plan (default, dark, monochrome, high-contrast,
+ *               reversed), overriding each plan's own theme field
+ *   --locale    Language and date / number formats for every plan (en-GB, de-DE,
+ *               fr-FR, it-IT, es-ES), overriding each plan's own locale field
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadRenderer } from './renderer.js';
+import { rootDir } from './paths.js';
+import { createRasteriser, PNG_SIZES } from './rasterise.js';
+import { loadPortfolio } from './portfolio.js';
+import { loadPriceHistory } from './levels.js';
+import { validatePlan } from '../src/utils/validation.js';
+import { applyPriceHistory } from '../src/utils/prices.js';
+import { evaluateAutocall, applyAutocall } from '../src/utils/autocall.js';
+import { monitorBarrier, applyBarrier } from '../src/utils/barrier.js';
+import { resolveCentreState } from '../src/utils/centreState.js';
+import { THEMES, THEME_NAMES } from '../src/utils/themes.js';
+import { LOCALES } from '../src/utils/locale.js';
+import { auditContrast, describeContrastFailure } from '../src/utils/contrast.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Size budget for a single SVG file from the brief
+const SVG_SIZE_BUDGET = 100 * 1024;
 
-// Read input data
-const inputPath = path.join(__dirname, '..', 'input.json');
-const data = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
-
-// Import geometry utilities (we'll inline the necessary functions for Node.js)
-const VIEWBOX_SIZE = 1024;
-const CENTER = VIEWBOX_SIZE / 2;
-const R_OUTER = 420;
-const W_RING = 64;
-const R_BLUE = 330;
-const TICK_LENGTH = 14;
-const BARRIER_TICK_LENGTH = 20;
-const CENTER_DOT_R = 48;
-const DAYS_IN_10_YEARS = 10 * 365;
-const ANGLE_PER_DAY = 360 / DAYS_IN_10_YEARS;
-
-function parseDate(dateStr) {
-  return new Date(dateStr + 'T00:00:00Z');
-}
-
-function daysBetween(startDate, endDate) {
-  const start = typeof startDate === 'string' ? parseDate(startDate) : startDate;
-  const end = typeof endDate === 'string' ? parseDate(endDate) : endDate;
-  return (end.getTime() - start.getTime()) / (1000 * 60 * 60 * 24);
-}
-
-function calculateRotationAngle(startDate, currentDate) {
-  return daysBetween(startDate, currentDate) * ANGLE_PER_DAY;
-}
-
-function calculatePerformance(initialLevel, currentLevel) {
-  return ((currentLevel - initialLevel) / initialLevel) * 100;
-}
-
-function easeOutQuad(t) {
-  return t * (2 - t);
+/**
+ * Generate static SVG string
+ * Renders the DynamicLogo component itself with animation disabled
+ */
+function generateStaticSVG(renderer, data) {
+  return renderer.renderLogoToSVG(data);
 }
 
-function mapPerformanceToAngle(performancePercent) {
-  const clamped = Math.max(-50, Math.min(50, performancePercent));
-  const anchors = [
-    [-50, -120], [-30, -90], [-5, -30], [0, 0],
-    [5, 30], [30, 90], [50, 120]
-  ];
-  
-  for (let i = 0; i < anchors.length - 1; i++) {
-    const [p1, a1] = anchors[i];
-    const [p2, a2] = anchors[i + 1];
-    if (clamped >= p1 && clamped <= p2) {
-      const t = (clamped - p1) / (p2 - p1);
-      return a1 + easeOutQuad(t) * (a2 - a1);
+/**
+ * Point a latest file at the newest output (copied so it also works on Windows)
+ */
+function updateLatest(sourcePath, latestPath) {
+  try {
+    if (fs.existsSync(latestPath)) {
+      fs.unlinkSync(latestPath);
     }
+    fs.copyFileSync(sourcePath, latestPath);
+    console.log(`Updated: ${latestPath}`);
+  } catch (err) {
+    console.log(`Note: Could not update ${path.basename(latestPath)}: ${err.message}`);
   }
-  return 0;
 }
 
-function mapBarrierToAngle(barrierPercent) {
-  const absBarrier = Math.abs(barrierPercent);
-  return -(90 + (absBarrier - 30) * 1.5);
+/**
+ * Throw with every field error when a plan fails validation; label says which
+ * stage produced the plan
+ */
+function assertValidPlan(data, label = 'Invalid plan') {
+  const { valid, errors } = validatePlan(data);
+  if (!valid) {
+    throw new Error(`${label}: ${errors.map(error => error.message).join('; ')}`);
+  }
 }
 
-function angleToCoords(angleDeg, radius, cx = CENTER, cy = CENTER) {
-  const adjustedAngle = angleDeg - 90;
-  const radians = (adjustedAngle * Math.PI) / 180;
-  return {
-    x: cx + radius * Math.cos(radians),
-    y: cy + radius * Math.sin(radians)
-  };
-}
+/**
+ * Price a validated plan from its closes, let the autocall engine set its flags and
+ * monitor the barrier. Prints the engine's trail and any conflict with the manual
+ * flags. The priced plan is validated again before the engines run on it
+ */
+function pricePlan(plan, prices, asOf) {
+  const priced = applyPriceHistory(plan, prices, { asOf });
+  console.log(`Latest close: ${priced.current_level} on ${priced.current_date}`);
+  assertValidPlan(priced, 'Invalid plan after pricing');
 
-function generateSegmentPath(segmentIndex, totalSegments, innerRadius, outerRadius, gapAngle = 3) {
-  const segmentAngle = 360 / totalSegments;
-  const startAngle = segmentIndex * segmentAngle + gapAngle / 2;
-  const endAngle = (segmentIndex + 1) * segmentAngle - gapAngle / 2;
-  
-  const innerStart = angleToCoords(startAngle, innerRadius);
-  const innerEnd = angleToCoords(endAngle, innerRadius);
-  const outerStart = angleToCoords(startAngle, outerRadius);
-  const outerEnd = angleToCoords(endAngle, outerRadius);
-  
-  const largeArc = segmentAngle - gapAngle > 180 ? 1 : 0;
-  
-  return `M ${innerStart.x} ${innerStart.y} A ${innerRadius} ${innerRadius} 0 ${largeArc} 1 ${innerEnd.x} ${innerEnd.y} L ${outerEnd.x} ${outerEnd.y} A ${outerRadius} ${outerRadius} 0 ${largeArc} 0 ${outerStart.x} ${outerStart.y} Z`;
+  const evaluation = evaluateAutocall(priced, prices);
+  evaluation.trail.forEach(entry => console.log(`  ${entry.message}`));
+  evaluation.conflicts.forEach(conflict => console.warn(`Conflict: ${conflict.message}`));
+
+  const barrier = monitorBarrier(priced, prices);
+  console.log(barrier.breached
+    ? `Barrier (${barrier.mode}) breached on ${barrier.first_breach_date}: lowest ${barrier.lowest_level} on ${barrier.lowest_date}, barrier ${barrier.level}`
+    : `Barrier (${barrier.mode}) intact at ${barrier.level}${barrier.lowest_level !== null ? `: lowest ${barrier.lowest_level} on ${barrier.lowest_date}` : ''}`);
+  return applyBarrier(applyAutocall(priced, evaluation), barrier);
 }
 
 /**
- * Generate static SVG string
+ * Render one plan into its output folder
+ * Writes the dated SVG and PNGs plus their latest counterparts (and the animated SVG
+ * when asked); an invalid plan or price history, colours below the contrast minimum,
+ * a PNG size that cannot be produced or an SVG over budget fails the plan
  */
-function generateStaticSVG(data) {
-  const {
-    plan_name, tenor_years, start_date, current_date,
-    initial_strike_level, current_level, barrier_percent,
-    observations, final_hurdle_percent,
-    counterparty, is_called, called_date, brand_colours, design_tokens
-  } = data;
+function renderPlan(renderer, rasteriser, plan, outputDir, timestamp, { animated = false, prices = null, asOf, theme, locale } = {}) {
+  const withOverrides = { ...plan, ...(theme && { theme }), ...(locale && { locale }) };
+  assertValidPlan(withOverrides);
 
-  const colors = {
-    navy: brand_colours?.navy || '#0A255A',
-    greenPrimary: brand_colours?.green_primary || '#007A3A',
-    greenAccent: brand_colours?.green_accent || '#0FA15A',
-    barrierRed: brand_colours?.barrier_red || '#C62828',
-    finalPurple: brand_colours?.final_hurdle_purple || '#5E35B1',
-    greyLight: brand_colours?.grey_light || '#D9D9D9',
-    greyMid: brand_colours?.grey_mid || '#A6A6A6'
-  };
+  // Price only a valid plan, so bad fields are reported rather than tripping the engines
+  const data = prices ? pricePlan(withOverrides, prices, asOf) : withOverrides;
+  const contrast = auditContrast(data);
+  if (!contrast.passed) {
+    throw new Error(`Contrast check failed (${contrast.theme} theme): ${contrast.failures.map(describeContrastFailure).join('; ')}`);
+  }
+  const centre = resolveCentreState(data);
+  console.log(`Centre state: ${centre.state} (${centre.rule}: ${centre.reason})`);
 
-  const tokens = {
-    gapAngle: design_tokens?.gap_angle_deg || 3,
-    tickStroke: design_tokens?.tick_stroke_width || 2,
-    segmentOutline: design_tokens?.segment_outline_width || 2
-  };
+  // Create output directory if it doesn't exist
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
 
-  const rotationAngle = calculateRotationAngle(start_date, current_date);
-  const performance = calculatePerformance(initial_strike_level, current_level);
-  const pointerAngle = mapPerformanceToAngle(performance);
-  const barrierAngle = mapBarrierToAngle(barrier_percent);
-  const finalHurdleAngle = mapPerformanceToAngle(final_hurdle_percent - 100);
+  const files = [];
 
-  const centreColor = colors.greenPrimary;
+  // Write SVG files
+  const svg = generateStaticSVG(renderer, data);
+  const svgPath = path.join(outputDir, `logo_${timestamp}.svg`);
+  fs.writeFileSync(svgPath, svg);
+  files.push(svgPath);
+  console.log(`Generated: ${svgPath}`);
+  updateLatest(svgPath, path.join(outputDir, 'latest.svg'));
 
-  // Generate outer ring segments
-  const innerR = R_OUTER - W_RING;
-  const outerR = R_OUTER;
-  let segments = '';
-  for (let i = 0; i < tenor_years; i++) {
-    const elapsedAngle = daysBetween(start_date, current_date) * ANGLE_PER_DAY;
-    const isElapsed = elapsedAngle > (i + 1) * 36;
-    const fillColor = isElapsed ? colors.greyMid : colors.navy;
-    const opacity = isElapsed ? 0.5 : 1;
-    segments += `<path d="${generateSegmentPath(i, 10, innerR, outerR, tokens.gapAngle)}" fill="${fillColor}" stroke="${colors.navy}" stroke-width="${tokens.segmentOutline}" opacity="${opacity}"/>`;
+  if (animated) {
+    const animatedSVG = renderer.renderLogoToSVG(data, { selfAnimating: true });
+    const bytes = Buffer.byteLength(animatedSVG);
+    if (bytes > SVG_SIZE_BUDGET) {
+      throw new Error(`Animated SVG is ${Math.ceil(bytes / 1024)} KB, over the ${SVG_SIZE_BUDGET / 1024} KB budget`);
+    }
+    const animatedPath = path.join(outputDir, `logo_${timestamp}_animated.svg`);
+    fs.writeFileSync(animatedPath, animatedSVG);
+    files.push(animatedPath);
+    console.log(`Generated: ${animatedPath} (${Math.ceil(bytes / 1024)} KB)`);
+    updateLatest(animatedPath, path.join(outputDir, 'latest_animated.svg'));
   }
 
-  // Generate observation ticks
-  let ticks = '';
-  observations.forEach((obs, index) => {
-    const daysToObs = daysBetween(start_date, obs.date);
-    const tickAngle = -(daysToObs * ANGLE_PER_DAY) + rotationAngle;
-    const innerPoint = angleToCoords(tickAngle, R_BLUE - TICK_LENGTH);
-    const outerPoint = angleToCoords(tickAngle, R_BLUE + TICK_LENGTH);
-    const strokeWidth = obs.triggered ? 4 : tokens.tickStroke;
-    const strokeColor = obs.triggered ? colors.greenAccent : colors.navy;
-    ticks += `<line x1="${innerPoint.x}" y1="${innerPoint.y}" x2="${outerPoint.x}" y2="${outerPoint.y}" stroke="${strokeColor}" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
-  });
+  // Rasterise every PNG size
+  const failures = [];
+  for (const width of PNG_SIZES) {
+    try {
+      const pngPath = path.join(outputDir, `logo_${timestamp}_${width}.png`);
+      fs.writeFileSync(pngPath, rasteriser.renderPNG(svg, width));
+      files.push(pngPath);
+      console.log(`Generated: ${pngPath}`);
+      updateLatest(pngPath, path.join(outputDir, `latest_${width}.png`));
+    } catch (err) {
+      failures.push(`${width}px: ${err.message}`);
+    }
+  }
 
-  // Barrier indicator
-  const barrierInner = angleToCoords(barrierAngle, R_BLUE - BARRIER_TICK_LENGTH);
-  const barrierOuter = angleToCoords(barrierAngle, R_BLUE + BARRIER_TICK_LENGTH);
-  const barrierLabelPos = angleToCoords(barrierAngle, R_BLUE - 40);
+  if (failures.length > 0) {
+    throw new Error(`PNG rasterisation failed for ${failures.join('; ')}`);
+  }
 
-  // Pointer
-  const pointerLength = 200;
-  const tipPoint = angleToCoords(pointerAngle, pointerLength);
-  const headLeft = angleToCoords(pointerAngle - 15, pointerLength - 30);
-  const headRight = angleToCoords(pointerAngle + 15, pointerLength - 30);
-  const labelPos = angleToCoords(pointerAngle, pointerLength + 30);
+  return files;
+}
 
-  // Final hurdle indicator
-  const finalPoint = angleToCoords(finalHurdleAngle, R_BLUE + 50);
+/**
+ * Render every plan of a portfolio into output/<slug>/ and write output/index.json
+ * One broken plan is recorded in the index and never aborts the rest
+ */
+function renderPortfolio(renderer, rasteriser, entries, outputDir, timestamp, options) {
+  const plans = entries.map(entry => {
+    const planDir = path.join(outputDir, entry.slug);
+    const record = {
+      slug: entry.slug,
+      plan_name: entry.plan?.plan_name ?? entry.name,
+      source: entry.source,
+      output_dir: path.relative(outputDir, planDir),
+      status: 'ok',
+      files: [],
+      error: null
+    };
 
-  // Scale markers
-  const scaleMarkers = [
-    { angle: 0, label: '0%' }, { angle: 30, label: '+5%' },
-    { angle: 90, label: '+30%' }, { angle: 120, label: '+50%' },
-    { angle: -30, label: '-5%' }, { angle: -90, label: '-30%' },
-    { angle: -120, label: '-50%' }
-  ];
-  let scaleMarkersStr = '';
-  scaleMarkers.forEach(m => {
-    const p = angleToCoords(m.angle, R_OUTER + 45);
-    scaleMarkersStr += `<text x="${p.x}" y="${p.y}" fill="${colors.greyMid}" font-size="12" text-anchor="middle" dominant-baseline="middle" font-family="Inter, Segoe UI, sans-serif">${m.label}</text>`;
+    try {
+      if (entry.error) throw new Error(entry.error);
+      record.files = renderPlan(renderer, rasteriser, entry.plan, planDir, timestamp, options)
+        .map(file => path.relative(outputDir, file));
+    } catch (err) {
+      record.status = 'failed';
+      record.error = err.message;
+      console.error(`Failed: ${entry.slug}: ${err.message}`);
+    }
+    return record;
   });
 
-  const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg viewBox="0 0 ${VIEWBOX_SIZE} ${VIEWBOX_SIZE}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${plan_name} - Dynamic Logo showing ${performance.toFixed(1)}% performance">
-  <rect width="${VIEWBOX_SIZE}" height="${VIEWBOX_SIZE}" fill="white"/>
-  
-  <!-- Scale markers -->
-  ${scaleMarkersStr}
-  
-  <!-- 12:00 marker -->
-  <line x1="${CENTER}" y1="${CENTER - R_OUTER - 10}" x2="${CENTER}" y2="${CENTER - R_OUTER - 30}" stroke="${colors.greenAccent}" stroke-width="4" stroke-linecap="round"/>
-  
-  <!-- Outer ring -->
-  <g transform="rotate(${rotationAngle}, ${CENTER}, ${CENTER})">
-    ${segments}
-  </g>
-  
-  <!-- Blue ring -->
-  <g transform="rotate(${rotationAngle}, ${CENTER}, ${CENTER})">
-    <circle cx="${CENTER}" cy="${CENTER}" r="${R_BLUE}" fill="none" stroke="${colors.navy}" stroke-width="2" opacity="0.3"/>
-    ${ticks}
-  </g>
-  
-  <!-- Barrier -->
-  <line x1="${barrierInner.x}" y1="${barrierInner.y}" x2="${barrierOuter.x}" y2="${barrierOuter.y}" stroke="${colors.barrierRed}" stroke-width="4" stroke-linecap="round"/>
-  <text x="${barrierLabelPos.x}" y="${barrierLabelPos.y}" fill="${colors.barrierRed}" font-size="14" font-weight="bold" text-anchor="middle" dominant-baseline="middle">${barrier_percent}%</text>
-  
-  <!-- Final hurdle -->
-  <circle cx="${finalPoint.x}" cy="${finalPoint.y}" r="12" fill="${colors.finalPurple}"/>
-  <text x="${finalPoint.x}" y="${finalPoint.y}" fill="white" font-size="14" font-weight="bold" text-anchor="middle" dominant-baseline="middle">F</text>
-  
-  <!-- Pointer -->
-  <line x1="${CENTER}" y1="${CENTER}" x2="${tipPoint.x}" y2="${tipPoint.y}" stroke="${colors.navy}" stroke-width="6" stroke-linecap="round"/>
-  <polygon points="${tipPoint.x},${tipPoint.y} ${headLeft.x},${headLeft.y} ${headRight.x},${headRight.y}" fill="${colors.navy}"/>
-  <text x="${labelPos.x}" y="${labelPos.y}" fill="${colors.navy}" font-size="32" font-weight="bold" text-anchor="middle" dominant-baseline="middle">A</text>
-  
-  <!-- Centre dot -->
-  <circle cx="${CENTER}" cy="${CENTER}" r="${CENTER_DOT_R}" fill="${centreColor}"/>
-  ${is_called ? `<text x="${CENTER}" y="${CENTER}" fill="white" font-size="16" font-weight="bold" text-anchor="middle" dominant-baseline="middle">✓</text>` : ''}
-  
-  <!-- Data area -->
-  <text x="${CENTER}" y="${CENTER + 80}" fill="${colors.navy}" font-size="14" text-anchor="middle" font-family="Inter, Segoe UI, sans-serif">${counterparty}</text>
-  ${is_called && called_date ? `<text x="${CENTER}" y="${CENTER + 100}" fill="${colors.greenAccent}" font-size="16" font-weight="bold" text-anchor="middle" font-family="Inter, Segoe UI, sans-serif">Called: ${called_date}</text>` : ''}
-  <text x="${CENTER}" y="${CENTER + (is_called ? 120 : 100)}" fill="${performance >= 0 ? colors.greenAccent : colors.barrierRed}" font-size="20" font-weight="bold" text-anchor="middle" font-family="Inter, Segoe UI, sans-serif">${performance >= 0 ? '+' : ''}${performance.toFixed(1)}%</text>
-  
-  <!-- Wordmark -->
-  <text x="${CENTER}" y="${CENTER + R_OUTER + 60}" fill="${colors.navy}" font-size="36" font-weight="bold" text-anchor="middle" font-family="Inter, Segoe UI, Source Sans Pro, sans-serif">Autocalls.uk</text>
-  <text x="${CENTER}" y="${CENTER + R_OUTER + 90}" fill="${colors.greyMid}" font-size="18" text-anchor="middle" font-family="Inter, Segoe UI, Source Sans Pro, sans-serif">Precision Investing</text>
-</svg>`;
+  const index = {
+    generated_at: new Date().toISOString(),
+    date: timestamp,
+    total: plans.length,
+    succeeded: plans.filter(p => p.status === 'ok').length,
+    failed: plans.filter(p => p.status === 'failed').length,
+    plans
+  };
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const indexPath = path.join(outputDir, 'index.json');
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+  console.log(`Updated: ${indexPath}`);
 
-  return svg;
+  return index;
 }
 
 /**
  * Main execution
  */
-function main() {
-  const outputDir = path.join(__dirname, '..', 'output');
-  
-  // Create output directory if it doesn't exist
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string' },
+      animated: { type: 'boolean', default: false },
+      prices: { type: 'string' },
+      'as-of': { type: 'string' },
+      theme: { type: 'string' },
+      locale: { type: 'string' }
+    }
+  });
+  const asOf = values['as-of'] ? new Date(values['as-of']) : new Date();
+  if (isNaN(asOf.getTime())) {
+    throw new Error(`Invalid --as-of "${values['as-of']}"`);
+  }
+  if (values.theme && !THEMES[values.theme]) {
+    throw new Error(`Unknown theme "${values.theme}" (expected ${THEME_NAMES.join(', ')})`);
+  }
+  if (values.locale && !LOCALES.includes(values.locale)) {
+    throw new Error(`Unknown locale "${values.locale}" (expected ${LOCALES.join(', ')})`);
+  }
+  const options = {
+    animated: values.animated,
+    theme: values.theme,
+    locale: values.locale,
+    prices: values.prices ? loadPriceHistory(path.resolve(values.prices)) : null,
+    asOf
+  };
+  const inputPath = path.resolve(positionals[0] || path.join(rootDir, 'input.json'));
+  const outputDir = path.resolve(values.out || path.join(rootDir, 'output'));
+
+  const { isBatch, entries } = loadPortfolio(inputPath);
+  if (entries.length === 0) {
+    throw new Error(`No plans found in ${inputPath}`);
   }
 
-  // Generate SVG
-  const svg = generateStaticSVG(data);
-  
   // Generate timestamp for filename
   const timestamp = new Date().toISOString().split('T')[0];
-  
-  // Write SVG files
-  const svgFilename = `logo_${timestamp}.svg`;
-  const svgPath = path.join(outputDir, svgFilename);
-  fs.writeFileSync(svgPath, svg);
-  console.log(`Generated: ${svgPath}`);
-  
-  // Create latest symlink (or copy on Windows)
-  const latestPath = path.join(outputDir, 'latest.svg');
+
+  const renderer = await loadRenderer();
   try {
-    if (fs.existsSync(latestPath)) {
-      fs.unlinkSync(latestPath);
+    const rasteriser = await createRasteriser();
+
+    if (!isBatch) {
+      renderPlan(renderer, rasteriser, entries[0].plan, outputDir, timestamp, options);
+      console.log(`\nStatic SVG and PNG (${PNG_SIZES.join(' / ')} px) generated successfully!`);
+      return;
     }
-    fs.copyFileSync(svgPath, latestPath);
-    console.log(`Updated: ${latestPath}`);
-  } catch (err) {
-    console.log(`Note: Could not update latest symlink: ${err.message}`);
-  }
 
-  console.log(`\nStatic SVG generated successfully!`);
-  console.log(`\nTo convert to PNG, you can use tools like:`);
-  console.log(`  - Inkscape: inkscape ${svgPath} --export-type=png --export-width=512`);
-  console.log(`  - ImageMagick: convert ${svgPath} -resize 512x512 logo_512.png`);
-  console.log(`  - Or use a library like sharp or canvas in Node.js`);
+    const index = renderPortfolio(renderer, rasteriser, entries, outputDir, timestamp, options);
+    console.log(`\nRendered ${index.succeeded} of ${index.total} plans.`);
+    if (index.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await renderer.close();
+  }
 }
 
-main();
+main().catch(err => {
+  console.error(`Static generation failed: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,29 @@
+/**
+ * Level history loading for Node scripts
+ * Reads daily index levels used to drive the pointer in backfills and exports, and
+ * price files used to derive current_level in static generation
+ */
+
+import fs from 'fs';
+import { parsePriceHistory, officialCloses } from '../src/utils/prices.js';
+
+/**
+ * Load a price file as rows of { date, time, close, low }
+ * Accepts JSON ([{ date, level | close, time?, low? }] or { "YYYY-MM-DD": level }) or CSV
+ * with a date column, a level/close column and optional time and low columns
+ */
+export function loadPriceHistory(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  try {
+    return parsePriceHistory(text, filePath.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+  } catch (err) {
+    throw new Error(`${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Load a level history as a { date: level } map of daily closes
+ */
+export function loadLevelHistory(filePath) {
+  return Object.fromEntries(officialCloses(loadPriceHistory(filePath)).map(row => [row.date, row.close]));
+}
@@ -0,0 +1,10 @@
+/**
+ * Repository paths for Node scripts
+ * Kept apart from renderer.js so scripts that never render (validate, export-lottie)
+ * do not load Vite
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
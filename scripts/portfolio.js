@@ -0,0 +1,85 @@
+/**
+ * Portfolio loading for batch static renders
+ * Accepts a single plan file, a portfolio file (an array of plans or { plans: [...] })
+ * or a directory of plan JSON files
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Turn a plan name into a folder-safe slug
+ * e.g. "Mariana 10:10 – FTSE" → "mariana-10-10-ftse"
+ */
+export function slugify(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'plan';
+}
+
+/**
+ * Read and parse one JSON file
+ */
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Load portfolio entries from a file or directory
+ * Each entry is { source, name, slug, plan } or { source, name, slug, error } when
+ * the plan could not be read, so one broken file never stops the others.
+ * isBatch is false only for a single plan file (the legacy input.json layout)
+ */
+export function loadPortfolio(inputPath) {
+  const stat = fs.statSync(inputPath);
+  const entries = [];
+  let isBatch = true;
+
+  if (stat.isDirectory()) {
+    const files = fs.readdirSync(inputPath)
+      .filter(file => file.toLowerCase().endsWith('.json'))
+      .sort();
+
+    for (const file of files) {
+      const source = path.join(inputPath, file);
+      const fallbackName = path.basename(file, path.extname(file));
+      try {
+        const plan = readJSON(source);
+        entries.push({ source, plan, name: plan?.plan_name || fallbackName });
+      } catch (err) {
+        entries.push({ source, name: fallbackName, error: `Could not read plan: ${err.message}` });
+      }
+    }
+  } else {
+    const content = readJSON(inputPath);
+    const plans = Array.isArray(content) ? content : (Array.isArray(content?.plans) ? content.plans : null);
+
+    if (!plans) {
+      // A single plan file
+      isBatch = false;
+      entries.push({ source: inputPath, plan: content, name: content?.plan_name || 'plan' });
+    } else {
+      plans.forEach((plan, index) => {
+        entries.push({ source: `${inputPath}#${index}`, plan, name: plan?.plan_name || `plan-${index + 1}` });
+      });
+    }
+  }
+
+  // Assign unique slugs in input order; a suffixed slug may itself be a plan's name
+  const used = new Set();
+  const slugged = entries.map(entry => {
+    const base = slugify(entry.name);
+    let slug = base;
+    for (let suffix = 2; used.has(slug); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    used.add(slug);
+    return { ...entry, slug };
+  });
+
+  return { isBatch, entries: slugged };
+}
@@ -0,0 +1,72 @@
+/**
+ * PNG rasterisation for static renders
+ * Uses the bundled resvg WebAssembly build and Inter font files, so it works
+ * offline with no browser, native binaries or system fonts
+ */
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+
+const require = createRequire(import.meta.url);
+
+// PNG widths promised by the brief; heights follow the logo's 512 × 600 viewBox
+export const PNG_SIZES = [512, 1024, 2048];
+
+// Fonts used by the logo's text elements (counterparty, performance, called date)
+const FONT_FILES = [
+  '@expo-google-fonts/inter/400Regular/Inter_400Regular.ttf',
+  '@expo-google-fonts/inter/700Bold/Inter_700Bold.ttf'
+];
+
+let wasmReady = null;
+
+/**
+ * Initialise the WebAssembly module once per process
+ */
+function ensureWasm() {
+  if (!wasmReady) {
+    wasmReady = initWasm(fs.readFileSync(require.resolve('@resvg/resvg-wasm/index_bg.wasm')));
+  }
+  return wasmReady;
+}
+
+/**
+ * Create a rasteriser with fonts loaded
+ * renderPNG(svg, width) returns a PNG buffer scaled to the given pixel width;
+ * renderPixels(svg, width) returns { width, height, pixels } with raw RGBA pixels
+ */
+export async function createRasteriser() {
+  await ensureWasm();
+  const fontBuffers = FONT_FILES.map(file => fs.readFileSync(require.resolve(file)));
+
+  const render = (svg, width, encode) => {
+    const resvg = new Resvg(svg, {
+      fitTo: { mode: 'width', value: width },
+      font: { fontBuffers, defaultFontFamily: 'Inter', sansSerifFamily: 'Inter' }
+    });
+    // Both the renderer and its image hold WASM memory until freed; encode copies
+    // the pixels out first (renderPNG and renderPixels both go through here)
+    let image = null;
+    try {
+      image = resvg.render();
+      if (!image.width || !image.height) {
+        throw new Error(`empty image at ${width}px`);
+      }
+      return encode(image);
+    } finally {
+      image?.free();
+      resvg.free();
+    }
+  };
+
+  const renderPNG = (svg, width) => render(svg, width, image => Buffer.from(image.asPng()));
+
+  const renderPixels = (svg, width) => render(svg, width, image => ({
+    width: image.width,
+    height: image.height,
+    pixels: new Uint8Array(image.pixels)
+  }));
+
+  return { renderPNG, renderPixels };
+}
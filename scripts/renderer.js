@@ -0,0 +1,24 @@
+/**
+ * Server-side logo renderer for Node scripts
+ * Loads src/renderStatic.jsx through Vite so the JSX component runs in plain Node;
+ * no browser is needed, React renders the component straight to markup
+ */
+
+import path from 'path';
+import { createServer } from 'vite';
+import { rootDir } from './paths.js';
+
+/**
+ * Start the renderer; call close() when done so the process can exit
+ */
+export async function loadRenderer() {
+  const server = await createServer({
+    root: rootDir,
+    configFile: path.join(rootDir, 'vite.config.js'),
+    server: { middlewareMode: true, hmr: false },
+    appType: 'custom',
+    logLevel: 'error'
+  });
+  const { renderLogoToSVG } = await server.ssrLoadModule('/src/renderStatic.jsx');
+  return { renderLogoToSVG, close: () => server.close() };
+}
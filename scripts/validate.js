@@ -0,0 +1,62 @@
+/**
+ * Plan Validation Script
+ * Checks plan JSON against the plan schema and cross-field rules before it is
+ * rendered, reporting every problem with the path of the offending field
+ *
+ * Usage: node scripts/validate.js [input...] [--json]
+ *   input   Plan files, portfolio files or directories (default: input.json),
+ *           as accepted by generate-static
+ *   --json  Print the results as JSON instead of text
+ *   Exits with status 1 when any plan is invalid
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import { rootDir } from './paths.js';
+import { loadPortfolio } from './portfolio.js';
+import { validatePlan } from '../src/utils/validation.js';
+
+/**
+ * Main execution
+ */
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false }
+    }
+  });
+  const inputs = positionals.length > 0 ? positionals : [path.join(rootDir, 'input.json')];
+
+  const results = inputs.flatMap(input => loadPortfolio(path.resolve(input)).entries).map(entry => {
+    const { valid, errors } = entry.error
+      ? { valid: false, errors: [{ path: '', message: entry.error }] }
+      : validatePlan(entry.plan);
+    return { source: entry.source, plan_name: entry.plan?.plan_name ?? entry.name, valid, errors };
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(result => {
+      const label = `${result.plan_name} (${result.source})`;
+      if (result.valid) {
+        console.log(`✓ ${label}`);
+        return;
+      }
+      console.log(`✗ ${label}: ${result.errors.length} problem${result.errors.length === 1 ? '' : 's'}`);
+      result.errors.forEach(error => console.log(`    ${error.message}`));
+    });
+  }
+
+  if (results.some(result => !result.valid)) {
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Validation failed: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -1,5 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import DynamicLogo from './components/DynamicLogo';
+import TimelineScrubber from './components/TimelineScrubber';
+import { validatePlan, errorsByPath } from './utils/validation';
+import { generateSchedule, FREQUENCIES, ROLL_CONVENTIONS } from './utils/schedule';
+import { parsePriceHistory, applyPriceHistory, officialCloses, DEFAULT_CLOSE_TIME } from './utils/prices';
+import { evaluateAutocall, applyAutocall } from './utils/autocall';
+import { monitorBarrier, applyBarrier, BARRIER_MODES } from './utils/barrier';
+import { CENTRE_STATES, CENTRE_RULE_DEFAULTS, CENTRE_STATE_COLOURS, resolveCentreState } from './utils/centreState';
+import { buildScene, resolveColors } from './utils/scene';
+import {
+  angleToCoords,
+  calculatePerformance,
+  mapPerformanceToAngle,
+  resolvePointerCurve,
+  POINTER_CURVE_MODES
+} from './utils/geometry';
+import { maturityDate, planAtDate, levelOnDate, isISODate } from './utils/timeline';
+import { DEFAULT_TRANSITION_SECONDS } from './utils/transitions';
+import { THEMES, DEFAULT_THEME } from './utils/themes';
+import { auditContrast, MIN_CONTRAST } from './utils/contrast';
+import { nearestPassingShade } from './utils/color';
+import { LOCALES, DEFAULT_LOCALE, formatPercent } from './utils/locale';
 import inputData from '../input.json';
 
 function App() {
@@ -7,6 +28,23 @@ function App() {
   const [animate, setAnimate] = useState(true);
   const [size, setSize] = useState(512);
   const [debug, setDebug] = useState(false);
+  const [live, setLive] = useState(false);
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [liveEvents, setLiveEvents] = useState([]);
+  const [scrubDate, setScrubDate] = useState(null);
+  const [schedule, setSchedule] = useState({
+    frequency: 'annual',
+    nonCallMonths: 0,
+    firstHurdle: 100,
+    hurdleStep: 0,
+    stepEvery: 1,
+    hurdleLimit: '',
+    roll: 'modified-following'
+  });
+  const [scheduleError, setScheduleError] = useState(null);
+  const [priceStatus, setPriceStatus] = useState(null);
+  const [priceRows, setPriceRows] = useState(null);
+  const [curveSampleLevel, setCurveSampleLevel] = useState(null);
 
   // Generic update function
   const updateField = (field, value) => {
@@ -33,11 +71,47 @@ function App() {
       ...prev,
       design_tokens: {
         ...prev.design_tokens,
-        [key]: parseFloat(value)
+        [key]: key === 'pointer_ease' ? value : parseFloat(value)
       }
     }));
   };
 
+  // Edit design_tokens.pointer_curve, starting from the curve currently in use
+  const updatePointerCurve = (changes) => {
+    setData(prev => ({
+      ...prev,
+      design_tokens: {
+        ...prev.design_tokens,
+        pointer_curve: { ...resolvePointerCurve(prev.design_tokens), ...prev.design_tokens.pointer_curve, ...changes }
+      }
+    }));
+  };
+
+  const updateCurveAnchor = (index, field, value) => {
+    updatePointerCurve({
+      anchors: curveAnchors.map((anchor, i) => (i === index ? { ...anchor, [field]: parseFloat(value) } : anchor))
+    });
+  };
+
+  const addCurveAnchor = () => {
+    const last = curveAnchors[curveAnchors.length - 1];
+    updatePointerCurve({
+      anchors: [...curveAnchors, { performance: Math.min(100, last.performance + 10), angle: Math.min(180, last.angle + 15) }]
+    });
+  };
+
+  const removeCurveAnchor = (index) => {
+    updatePointerCurve({ anchors: curveAnchors.filter((_, i) => i !== index) });
+  };
+
+  // Drop the custom curve and go back to the default anchors
+  const resetPointerCurve = () => {
+    setData(prev => {
+      const { pointer_curve, ...designTokens } = prev.design_tokens;
+      return { ...prev, design_tokens: designTokens };
+    });
+  };
+
   // Update observation
   const updateObservation = (index, field, value) => {
     setData(prev => {
@@ -47,6 +121,69 @@ function App() {
     });
   };
 
+  // Update schedule builder options
+  const updateSchedule = (key, value) => {
+    setSchedule(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Replace the observations with a schedule built from start_date and tenor_years
+  // (triggers and any call are cleared, since the dates no longer match)
+  const applySchedule = () => {
+    try {
+      const observations = generateSchedule({
+        startDate: data.start_date,
+        tenorYears: data.tenor_years,
+        frequency: schedule.frequency,
+        nonCallMonths: parseInt(schedule.nonCallMonths) || 0,
+        firstHurdle: parseFloat(schedule.firstHurdle),
+        hurdleStep: parseFloat(schedule.hurdleStep) || 0,
+        stepEvery: parseInt(schedule.stepEvery) || 1,
+        hurdleLimit: schedule.hurdleLimit === '' ? null : parseFloat(schedule.hurdleLimit),
+        roll: schedule.roll
+      });
+      setScheduleError(null);
+      setData(prev => ({ ...prev, observations, is_called: false, called_date: null }));
+    } catch (err) {
+      setScheduleError(err.message);
+    }
+  };
+
+  // Take current_level / current_date from the latest official close in a price file
+  const loadPriceFile = async (file) => {
+    if (!file) return;
+    try {
+      const rows = parsePriceHistory(await file.text(), file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+      const priced = applyPriceHistory(data, rows);
+      const next = applyBarrier(priced, monitorBarrier(priced, rows));
+      setData(next);
+      setPriceRows(rows);
+      setPriceStatus({ file: file.name, message: `Latest official close ${next.current_level} on ${next.current_date} (${rows.length} rows)` });
+    } catch (err) {
+      setPriceStatus({ file: file.name, error: err.message });
+      setPriceRows(null);
+    }
+  };
+
+  // Update the recorded barrier breach by hand
+  const updateBarrierBreach = (key, value) => {
+    setData(prev => ({
+      ...prev,
+      barrier_breach: {
+        breached: false,
+        first_breach_date: null,
+        lowest_level: null,
+        lowest_date: null,
+        ...prev.barrier_breach,
+        [key]: value
+      }
+    }));
+  };
+
+  // Change the monitoring mode, re-running the monitor when a price file is loaded
+  const updateBarrierMonitoring = (mode) => {
+    setData(prev => (priceRows ? applyBarrier(prev, monitorBarrier(prev, priceRows, mode)) : { ...prev, barrier_monitoring: mode }));
+  };
+
   // Randomize all values
   const randomizeAll = () => {
     const counterparties = ['Morgan Stanley', 'Goldman Sachs', 'JP Morgan', 'Barclays', 'HSBC', 'Credit Suisse', 'Deutsche Bank'];
@@ -60,17 +197,12 @@ function App() {
     };
 
     const startDate = randomDate('2020-01-01', '2025-06-01');
-    const tenorYears = Math.floor(Math.random() * 8) + 3; // 3-10 years
-    
-    // Calculate end date based on tenor years
-    const startDateObj = new Date(startDate);
-    const endYear = startDateObj.getFullYear() + tenorYears;
-    const endDateStr = `${endYear}-12-31`;
+    const tenorYears = (Math.floor(Math.random() * 49) + 12) / 4; // 3-15 years in quarters
     
     // Current date should be within the plan years, biased toward center
     // Use a normal-ish distribution by averaging two random values
-    const planStartTime = startDateObj.getTime();
-    const planEndTime = new Date(endDateStr).getTime();
+    const planStartTime = new Date(startDate).getTime();
+    const planEndTime = new Date(maturityDate({ start_date: startDate, tenor_years: tenorYears })).getTime();
     const r1 = Math.random();
     const r2 = Math.random();
     const centralBias = (r1 + r2) / 2; // This gives a bell-curve-ish distribution centered at 0.5
@@ -85,23 +217,20 @@ function App() {
     const currentLevelMultiplier = 0.7 + Math.random() * 0.6; // 0.7 to 1.3
     const currentLevel = Math.floor(initialStrike * currentLevelMultiplier);
 
-    // Generate random observations - one per calendar year from start year
-    // Each observation is at a random date within that calendar year
-    const observations = [];
-    const startYear = new Date(startDate).getFullYear();
-    for (let i = 0; i < tenorYears; i++) {
-      const obsYear = startYear + i;
-      // Random month (0-11) and day (1-28 to be safe)
-      const randomMonth = Math.floor(Math.random() * 12);
-      const randomDay = Math.floor(Math.random() * 28) + 1;
-      const obsDate = new Date(obsYear, randomMonth, randomDay);
-      
-      observations.push({
-        date: obsDate.toISOString().split('T')[0],
-        hurdle_percent: Math.floor(Math.random() * 30) + 80, // 80-110%
-        triggered: Math.random() > 0.7
-      });
-    }
+    // Annual schedule with a random step-down (0-5% a year, floored at 60%)
+    // Only observations already passed can trigger, and the first trigger calls the plan
+    let calledDate = null;
+    const observations = generateSchedule({
+      startDate,
+      tenorYears,
+      firstHurdle: Math.floor(Math.random() * 30) + 80, // 80-110%
+      hurdleStep: -Math.floor(Math.random() * 6),
+      hurdleLimit: 60
+    }).map(obs => {
+      const triggered = !calledDate && obs.date <= currentDate && Math.random() > 0.7;
+      if (triggered) calledDate = obs.date;
+      return { ...obs, triggered };
+    });
 
     setData({
       ...data,
@@ -111,27 +240,76 @@ function App() {
       current_date: currentDate,
       initial_strike_level: initialStrike,
       current_level: currentLevel,
-      barrier_percent: Math.floor(Math.random() * 101) - 50, // -50 to +50 (same range as A pointer)
+      barrier_percent: Math.floor(Math.random() * 21) - 50, // -50 to -30
       observations: observations,
-      bottom_arrow_color: `hsl(${Math.floor(Math.random() * 360)}, 70%, 50%)`,
+      // Any hue, shaded to pass the contrast check on the logo background
+      bottom_arrow_color: nearestPassingShade(
+        `#${Math.floor(Math.random() * 0xFFFFFF).toString(16).padStart(6, '0')}`,
+        buildScene(data).background.fill,
+        MIN_CONTRAST
+      ),
       bottom_arrow_target: Math.floor(Math.random() * 360), // 0-360 degrees on circle
-      circle_fill: `#${Math.floor(Math.random() * 0xFFFFFF).toString(16).padStart(6, '0')}`,
       counterparty: counterparties[Math.floor(Math.random() * counterparties.length)],
-      is_called: Math.random() > 0.8,
-      called_date: Math.random() > 0.8 ? currentDate : null
+      is_called: Boolean(calledDate),
+      called_date: calledDate
     });
   };
 
+  // Calling a plan dates the call at the latest triggered observation (falling back
+  // to the current date, which validation then flags)
   const toggleCalled = () => {
-    setData(prev => ({
-      ...prev,
-      is_called: !prev.is_called,
-      called_date: !prev.is_called ? prev.current_date : null
-    }));
+    setData(prev => {
+      const lastTriggered = prev.observations
+        .filter(obs => obs.triggered && obs.date <= prev.current_date)
+        .sort((a, b) => b.date.localeCompare(a.date))[0];
+      return {
+        ...prev,
+        is_called: !prev.is_called,
+        called_date: !prev.is_called ? (lastTriggered?.date ?? prev.current_date) : null
+      };
+    });
   };
 
   const performance = ((data.current_level - data.initial_strike_level) / data.initial_strike_level * 100).toFixed(2);
 
+  // Schema and cross-field checks, shown inline next to each field
+  const validation = validatePlan(data);
+  const fieldErrors = errorsByPath(validation.errors);
+
+  // Contrast of every colour pair the logo paints, flagged next to the controls
+  // behind each failing pair
+  const contrast = auditContrast(data);
+  const contrastByField = {};
+  contrast.failures.forEach(check => check.fields.forEach(field => {
+    contrastByField[field] = [...(contrastByField[field] || []), check];
+  }));
+
+  // Centre dot state and the rule that set it, with its colour in the plan's theme
+  const centreState = resolveCentreState(data);
+  const centreStateFill = resolveColors(data.brand_colours, data.theme)[CENTRE_STATE_COLOURS[centreState.state]];
+
+  // Pointer curve in use, and the anchors as entered (possibly mid-edit)
+  const pointerCurve = resolvePointerCurve(data.design_tokens);
+  const curveAnchors = data.design_tokens.pointer_curve?.anchors ?? pointerCurve.anchors;
+
+  // Timeline scrubbing: the logo shows the plan as it stood on scrubDate, with the
+  // pointer on that day's close when a price file is loaded
+  const levelsByDate = priceRows
+    ? Object.fromEntries(officialCloses(priceRows, data.market_close_time_gmt || DEFAULT_CLOSE_TIME).map(row => [row.date, row.close]))
+    : null;
+  const canScrub = !live && isISODate(data.start_date) && isISODate(data.current_date) && Number(data.tenor_years) > 0;
+  const logoData = canScrub && scrubDate ? planAtDate(data, scrubDate, levelsByDate) : data;
+
+  // Make the scrubbed date the plan's current_date (and level, from the price file)
+  const applyScrubDate = () => {
+    const level = levelOnDate(levelsByDate, scrubDate);
+    setData(prev => ({ ...prev, current_date: scrubDate, current_level: level ?? prev.current_level }));
+    setScrubDate(null);
+  };
+
+  // Autocall engine verdict from the loaded price file
+  const autocall = priceRows ? evaluateAutocall(data, priceRows) : null;
+
   const inputStyle = {
     padding: '8px 12px',
     borderRadius: '6px',
@@ -149,6 +327,139 @@ function App() {
     color: '#333'
   };
 
+  const errorStyle = {
+    fontSize: '12px',
+    color: '#C62828'
+  };
+
+  // Input style with a red border when the field has an error
+  const fieldStyle = (path, base = inputStyle) => (
+    fieldErrors[path] ? { ...base, border: '1px solid #C62828' } : base
+  );
+
+  const renderFieldError = (path) => (
+    fieldErrors[path] ? <span style={errorStyle}>{fieldErrors[path]}</span> : null
+  );
+
+  // Set a colour field (brand_colours.* or a top-level field) to a suggested shade
+  const applyColour = (path, value) => {
+    const [group, key] = path.split('.');
+    if (key) updateBrandColour(key, value);
+    else updateField(group, value);
+  };
+
+  // Contrast failures involving a colour field, each with its nearest passing shade
+  const renderContrastWarning = (path) => (contrastByField[path] || []).map(check => (
+    <span key={check.id} style={{ ...errorStyle, display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+      {check.label}: {check.ratio === null ? 'unreadable colour' : `${check.ratio.toFixed(2)}:1`} (needs {MIN_CONTRAST}:1)
+      {check.suggestion?.field === path && check.suggestion.color && (
+        <button
+          type="button"
+          onClick={() => applyColour(path, check.suggestion.color)}
+          style={{ padding: '2px 6px', borderRadius: '4px', border: '1px solid #C62828', backgroundColor: 'white', color: '#C62828', cursor: 'pointer', fontSize: '11px' }}
+        >
+          Use <span style={{ display: 'inline-block', width: '10px', height: '10px', backgroundColor: check.suggestion.color, verticalAlign: 'middle' }} /> {check.suggestion.color}
+        </button>
+      )}
+    </span>
+  ));
+
+  // Angle as a clock time: 0° = 12:00, 30° per hour
+  const clockTime = (angle) => {
+    const minutes = (720 + Math.round(angle * 2)) % 720;
+    return `${Math.floor(minutes / 60) || 12}:${String(minutes % 60).padStart(2, '0')}`;
+  };
+
+  // Curve preview: performance → angle with the anchors, and a clock dial showing where
+  // the "A" (at the sample level), the barrier and the hurdles land
+  const renderCurvePreview = () => {
+    const { anchors, clamp } = pointerCurve;
+    const sampleLevel = curveSampleLevel ?? data.current_level;
+    const chart = { width: 340, height: 200, pad: 24 };
+    const xMin = Math.min(anchors[0].performance, clamp.min) - 10;
+    const xMax = Math.max(anchors[anchors.length - 1].performance, clamp.max) + 10;
+    const x = (performance) => chart.pad + ((performance - xMin) / (xMax - xMin)) * (chart.width - 2 * chart.pad);
+    const y = (angle) => chart.height / 2 - (angle / 180) * (chart.height / 2 - chart.pad / 2);
+
+    const curvePoints = [];
+    for (let performance = xMin; performance <= xMax; performance += 0.5) {
+      curvePoints.push(`${x(performance)},${y(mapPerformanceToAngle(performance, pointerCurve))}`);
+    }
+
+    const hurdles = [...new Set(data.observations.map(obs => Number(obs.hurdle_percent)))];
+    const markers = [
+      { key: 'pointer', label: 'A', performance: calculatePerformance(data.initial_strike_level, sampleLevel), color: '#0A255A', length: 70 },
+      { key: 'barrier', label: 'Barrier', performance: Number(data.barrier_percent), color: '#FFA000', length: 80 },
+      ...hurdles.map(hurdle => ({ key: `hurdle-${hurdle}`, label: `${hurdle}%`, performance: hurdle - 100, color: '#0FA15A', length: 80 }))
+    ]
+      .filter(marker => Number.isFinite(marker.performance))
+      .map(marker => ({ ...marker, angle: mapPerformanceToAngle(marker.performance, pointerCurve) }));
+    const pointer = markers.find(marker => marker.key === 'pointer');
+
+    return (
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '15px' }}>
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          <svg width={chart.width} height={chart.height} style={{ background: '#f8fafc', borderRadius: '8px' }}>
+            <line x1={x(xMin)} y1={y(0)} x2={x(xMax)} y2={y(0)} stroke="#ccc" />
+            <line x1={x(0)} y1={y(180)} x2={x(0)} y2={y(-180)} stroke="#ccc" />
+            <rect x={x(clamp.min)} y={y(180)} width={Math.max(0, x(clamp.max) - x(clamp.min))} height={y(-180) - y(180)} fill="#0A255A" opacity={0.05} />
+            <polyline points={curvePoints.join(' ')} fill="none" stroke="#0A255A" strokeWidth={2} />
+            {anchors.map((anchor, i) => (
+              <circle key={i} cx={x(anchor.performance)} cy={y(anchor.angle)} r={3.5} fill="white" stroke="#0A255A" strokeWidth={1.5} />
+            ))}
+            {markers.map(marker => (
+              <circle key={marker.key} cx={x(Math.max(xMin, Math.min(xMax, marker.performance)))} cy={y(marker.angle)} r={marker.key === 'pointer' ? 5 : 3.5} fill={marker.color} />
+            ))}
+            <text x={chart.pad} y={chart.height - 6} fontSize="10" fill="#666">{xMin}%</text>
+            <text x={chart.width - chart.pad} y={chart.height - 6} fontSize="10" fill="#666" textAnchor="end">+{xMax}%</text>
+            <text x={x(0) + 4} y={12} fontSize="10" fill="#666">angle</text>
+          </svg>
+          <svg width={180} height={180} viewBox="0 0 200 200">
+            <circle cx={100} cy={100} r={88} fill="white" stroke="#0A255A" strokeWidth={4} />
+            {Array.from({ length: 12 }, (_, hour) => {
+              const outer = angleToCoords(hour * 30, 84, 100, 100);
+              const inner = angleToCoords(hour * 30, 76, 100, 100);
+              return <line key={hour} x1={inner.x} y1={inner.y} x2={outer.x} y2={outer.y} stroke="#0A255A" strokeWidth={2} />;
+            })}
+            {markers.map(marker => {
+              const end = angleToCoords(marker.angle, marker.length, 100, 100);
+              return (
+                <line
+                  key={marker.key}
+                  x1={100}
+                  y1={100}
+                  x2={end.x}
+                  y2={end.y}
+                  stroke={marker.color}
+                  strokeWidth={marker.key === 'pointer' ? 5 : 2}
+                  strokeLinecap="round"
+                />
+              );
+            })}
+            <circle cx={100} cy={100} r={6} fill="#0A255A" />
+          </svg>
+        </div>
+        <label style={labelStyle}>
+          Sample Level: {sampleLevel} ({pointer ? `${pointer.performance.toFixed(1)}%` : 'n/a'})
+          <input
+            type="range"
+            min={Math.round(data.initial_strike_level * 0.4)}
+            max={Math.round(data.initial_strike_level * 1.6)}
+            value={sampleLevel}
+            onChange={(e) => setCurveSampleLevel(parseFloat(e.target.value))}
+          />
+        </label>
+        <div style={{ fontSize: '12px', color: '#555', display: 'flex', flexWrap: 'wrap', gap: '4px 14px' }}>
+          {markers.map(marker => (
+            <span key={marker.key}>
+              <span style={{ color: marker.color, fontWeight: 'bold' }}>●</span> {marker.label}: {marker.angle.toFixed(1)}° ({clockTime(marker.angle)})
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   const sectionStyle = {
     backgroundColor: 'white',
     borderRadius: '12px',
@@ -185,27 +496,46 @@ function App() {
         }}>
           Autocalls.uk Dynamic Logo
         </h1>
-        {/* Circle fill color picker - bound to data.circle_fill */}
+        {/* Centre state - bound to data.centre_state, derived by the risk rules when unset */}
         <div style={{
           display: 'flex',
-          alignItems: 'center',
-          gap: '10px',
+          flexDirection: 'column',
+          gap: '6px',
           marginBottom: '10px',
           background: '#f8fafc',
           padding: '10px 18px',
           borderRadius: '10px',
           boxShadow: '0 1px 4px #0001',
+          maxWidth: '512px'
         }}>
-          <label htmlFor="circle-fill-picker" style={{ fontWeight: 500, fontSize: 15, color: '#0b3763' }}>
-            Circle Fill Color:
-          </label>
-          <input
-            id="circle-fill-picker"
-            type="color"
-            value={data.circle_fill || '#FFFFFF'}
-            onChange={e => updateField('circle_fill', e.target.value)}
-            style={{ width: 38, height: 38, border: 'none', background: 'none', cursor: 'pointer', boxShadow: '0 1px 4px #0002', borderRadius: 8 }}
-          />
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <label htmlFor="centre-state-select" style={{ fontWeight: 500, fontSize: 15, color: '#0b3763' }}>
+              Centre State:
+            </label>
+            <select
+              id="centre-state-select"
+              value={data.centre_state || ''}
+              onChange={e => updateField('centre_state', e.target.value || null)}
+              style={{ padding: '6px 10px', borderRadius: 6, border: '1px solid #ddd' }}
+            >
+              <option value="">Auto (risk rules)</option>
+              {CENTRE_STATES.map(state => (
+                <option key={state} value={state}>{state}</option>
+              ))}
+            </select>
+            <span style={{
+              width: 18,
+              height: 18,
+              borderRadius: '50%',
+              background: centreStateFill,
+              border: '2px solid #0b3763'
+            }} />
+            <strong style={{ fontSize: 14, color: '#0b3763' }}>{centreState.state}</strong>
+          </div>
+          <span style={{ fontSize: 12, color: '#666' }}>
+            Rule: {centreState.rule} ({centreState.reason})
+          </span>
+          {renderFieldError('centre_state')}
         </div>
         <div style={{
           backgroundColor: 'white',
@@ -213,8 +543,57 @@ function App() {
           padding: '20px',
           boxShadow: '0 4px 20px rgba(0,0,0,0.1)'
         }}>
-          <DynamicLogo data={data} animate={animate} size={size} debug={debug} />
+          <DynamicLogo
+            data={logoData}
+            animate={animate}
+            size={size}
+            debug={debug}
+            live={live}
+            locale={locale}
+            dataTable
+            onObservation={(event) => setLiveEvents(prev => [...prev, `Observation #${event.index + 1} (${event.date}, hurdle ${event.hurdle_percent}%) reached`])}
+            onMaturity={(event) => setLiveEvents(prev => [...prev, `Maturity (${event.date}) reached`])}
+          />
         </div>
+        {canScrub && (
+          <div style={{
+            backgroundColor: 'white',
+            borderRadius: '16px',
+            padding: '16px 20px',
+            boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '10px'
+          }}>
+            <TimelineScrubber
+              data={data}
+              date={scrubDate ?? data.current_date}
+              onChange={setScrubDate}
+              width={Math.max(size, 400)}
+              locale={locale}
+            />
+            {scrubDate && scrubDate !== data.current_date && (
+              <div style={{ display: 'flex', gap: '10px', alignItems: 'center', fontSize: '12px', color: '#666' }}>
+                <span style={{ flex: 1 }}>
+                  Showing {scrubDate}
+                  {levelsByDate && ` at ${levelOnDate(levelsByDate, scrubDate) ?? 'no close'}`}
+                </span>
+                <button
+                  onClick={applyScrubDate}
+                  style={{ padding: '6px 12px', backgroundColor: '#0A255A', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}
+                >
+                  Use as Current Date
+                </button>
+                <button
+                  onClick={() => setScrubDate(null)}
+                  style={{ padding: '6px 12px', backgroundColor: 'white', color: '#0A255A', border: '1px solid #0A255A', borderRadius: '6px', cursor: 'pointer' }}
+                >
+                  Back to {data.current_date}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Right side: Controls */}
@@ -254,6 +633,18 @@ function App() {
           Randomize All
         </button>
 
+        {/* Validation summary - details are shown next to each field */}
+        {!validation.valid && (
+          <div style={{
+            ...sectionStyle,
+            border: '1px solid #C62828',
+            color: '#C62828',
+            fontSize: '14px'
+          }}>
+            {validation.errors.length} problem{validation.errors.length === 1 ? '' : 's'} in the plan data - see the highlighted fields
+          </div>
+        )}
+
       {/* Display Controls */}
       <div style={sectionStyle}>
         <h3 style={{ color: '#0A255A', margin: '0 0 15px 0' }}>Display Settings</h3>
@@ -274,6 +665,14 @@ function App() {
             />
             Debug Mode
           </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <input
+              type="checkbox"
+              checked={live}
+              onChange={(e) => setLive(e.target.checked)}
+            />
+            Live Clock
+          </label>
           <label style={labelStyle}>
             Size
             <select value={size} onChange={(e) => setSize(parseInt(e.target.value))} style={inputStyle}>
@@ -283,7 +682,23 @@ function App() {
               <option value={1024}>1024px</option>
             </select>
           </label>
+          <label style={labelStyle}>
+            Locale
+            <select value={locale} onChange={(e) => setLocale(e.target.value)} style={inputStyle}>
+              {LOCALES.map(tag => (
+                <option key={tag} value={tag}>{new Intl.DisplayNames([tag], { type: 'language' }).of(tag)}</option>
+              ))}
+            </select>
+          </label>
         </div>
+        {live && (
+          <div style={{ fontSize: '12px', color: '#666', marginTop: '12px' }}>
+            Following the wall clock; the plan day rolls over at {data.market_close_time_gmt || DEFAULT_CLOSE_TIME} GMT.
+            {liveEvents.map((message, i) => (
+              <div key={i} style={{ color: '#0A255A', fontWeight: 'bold' }}>{message}</div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Basic Info */}
@@ -296,8 +711,9 @@ function App() {
               type="text"
               value={data.plan_name}
               onChange={(e) => updateField('plan_name', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('plan_name')}
             />
+            {renderFieldError('plan_name')}
           </label>
           <label style={labelStyle}>
             Counterparty
@@ -305,8 +721,9 @@ function App() {
               type="text"
               value={data.counterparty}
               onChange={(e) => updateField('counterparty', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('counterparty')}
             />
+            {renderFieldError('counterparty')}
           </label>
           <label style={labelStyle}>
             Tenor (Years)
@@ -314,10 +731,12 @@ function App() {
               type="number"
               min={1}
               max={15}
+              step={0.25}
               value={data.tenor_years}
-              onChange={(e) => updateField('tenor_years', parseInt(e.target.value))}
-              style={inputStyle}
+              onChange={(e) => updateField('tenor_years', parseFloat(e.target.value))}
+              style={fieldStyle('tenor_years')}
             />
+            {renderFieldError('tenor_years')}
           </label>
         </div>
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px', marginTop: '15px' }}>
@@ -334,9 +753,11 @@ function App() {
                 type="text"
                 value={data.bottom_arrow_color || '#107b44'}
                 onChange={(e) => updateField('bottom_arrow_color', e.target.value)}
-                style={{ ...inputStyle, flex: 1 }}
+                style={fieldStyle('bottom_arrow_color', { ...inputStyle, flex: 1 })}
               />
             </div>
+            {renderFieldError('bottom_arrow_color')}
+            {renderContrastWarning('bottom_arrow_color')}
           </label>
           <label style={labelStyle}>
             Bottom Arrow Target (0-360°)
@@ -347,8 +768,9 @@ function App() {
               step={1}
               value={data.bottom_arrow_target ?? 0}
               onChange={(e) => updateField('bottom_arrow_target', parseFloat(e.target.value))}
-              style={inputStyle}
+              style={fieldStyle('bottom_arrow_target')}
             />
+            {renderFieldError('bottom_arrow_target')}
           </label>
         </div>
         <div style={{ marginTop: '15px' }}>
@@ -377,8 +799,9 @@ function App() {
               type="date"
               value={data.start_date}
               onChange={(e) => updateField('start_date', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('start_date')}
             />
+            {renderFieldError('start_date')}
           </label>
           <label style={labelStyle}>
             Current Date
@@ -387,8 +810,9 @@ function App() {
               value={data.current_date}
               min={data.start_date}
               onChange={(e) => updateField('current_date', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('current_date')}
             />
+            {renderFieldError('current_date')}
           </label>
           <label style={labelStyle}>
             Market Close Time (GMT)
@@ -396,8 +820,9 @@ function App() {
               type="time"
               value={data.market_close_time_gmt}
               onChange={(e) => updateField('market_close_time_gmt', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('market_close_time_gmt')}
             />
+            {renderFieldError('market_close_time_gmt')}
           </label>
           <label style={labelStyle}>
             Called Date
@@ -405,8 +830,9 @@ function App() {
               type="date"
               value={data.called_date || ''}
               onChange={(e) => updateField('called_date', e.target.value || null)}
-              style={inputStyle}
+              style={fieldStyle('called_date')}
             />
+            {renderFieldError('called_date')}
           </label>
         </div>
       </div>
@@ -423,8 +849,9 @@ function App() {
               max={20000}
               value={data.initial_strike_level}
               onChange={(e) => updateField('initial_strike_level', parseFloat(e.target.value))}
-              style={inputStyle}
+              style={fieldStyle('initial_strike_level')}
             />
+            {renderFieldError('initial_strike_level')}
           </label>
           <label style={labelStyle}>
             Current Level (Index)
@@ -434,25 +861,58 @@ function App() {
               max={20000}
               value={data.current_level}
               onChange={(e) => updateField('current_level', parseFloat(e.target.value))}
-              style={inputStyle}
+              style={fieldStyle('current_level')}
             />
+            {renderFieldError('current_level')}
           </label>
           <label style={labelStyle}>
-            Barrier Percent (-50% to +50%)
+            Barrier Percent (-50% to -30%)
             <input
               type="number"
               min={-50}
-              max={50}
+              max={-30}
               value={data.barrier_percent}
               onChange={(e) => updateField('barrier_percent', parseInt(e.target.value))}
-              style={inputStyle}
+              style={fieldStyle('barrier_percent')}
+            />
+            {renderFieldError('barrier_percent')}
+          </label>
+          <label style={labelStyle}>
+            Barrier Monitoring
+            <select
+              value={data.barrier_monitoring || 'european'}
+              onChange={(e) => updateBarrierMonitoring(e.target.value)}
+              style={fieldStyle('barrier_monitoring')}
+            >
+              {BARRIER_MODES.map(mode => (
+                <option key={mode} value={mode}>{mode}</option>
+              ))}
+            </select>
+            {renderFieldError('barrier_monitoring')}
+          </label>
+          <label style={{ ...labelStyle, flexDirection: 'row', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="checkbox"
+              checked={Boolean(data.barrier_breach?.breached)}
+              onChange={(e) => updateBarrierBreach('breached', e.target.checked)}
+            />
+            Barrier Breached
+          </label>
+          <label style={labelStyle}>
+            First Breach Date
+            <input
+              type="date"
+              value={data.barrier_breach?.first_breach_date || ''}
+              onChange={(e) => updateBarrierBreach('first_breach_date', e.target.value || null)}
+              style={fieldStyle('barrier_breach.first_breach_date')}
             />
+            {renderFieldError('barrier_breach.first_breach_date')}
           </label>
         </div>
         
         {/* Current Level Slider */}
         <label style={{ ...labelStyle, marginTop: '15px' }}>
-          Current Level Slider ({performance}% performance)
+          Current Level Slider ({formatPercent(Number(performance), locale, { digits: 2 })} performance)
           <input
             type="range"
             min={Math.floor(data.initial_strike_level * 0.5)}
@@ -463,6 +923,26 @@ function App() {
             style={{ width: '100%' }}
           />
         </label>
+
+        {/* Price History */}
+        <label style={{ ...labelStyle, marginTop: '15px' }}>
+          Price File (CSV or JSON of daily closes)
+          <input
+            type="file"
+            accept=".csv,.json"
+            onChange={(e) => loadPriceFile(e.target.files[0])}
+          />
+        </label>
+        {Number.isFinite(data.barrier_breach?.lowest_level) && (
+          <p style={{ fontSize: '12px', color: '#666', margin: '8px 0 0 0' }}>
+            Lowest monitored level {data.barrier_breach.lowest_level} on {data.barrier_breach.lowest_date}
+          </p>
+        )}
+        {priceStatus && (
+          <p style={{ ...(priceStatus.error ? errorStyle : { fontSize: '12px', color: '#007A3A' }), margin: '8px 0 0 0' }}>
+            {priceStatus.file}: {priceStatus.error || priceStatus.message}
+          </p>
+        )}
       </div>
 
       {/* Called Status */}
@@ -483,6 +963,143 @@ function App() {
         >
           {data.is_called ? '✓ Called - Click to Mark Active' : '○ Active - Click to Mark as Called'}
         </button>
+        {autocall ? (
+          <div style={{ marginTop: '15px', fontSize: '12px', color: '#333' }}>
+            <strong>
+              Engine verdict: {autocall.is_called ? `called on ${autocall.called_date}` : 'not called'}
+            </strong>
+            <ul style={{ margin: '8px 0', paddingLeft: '18px' }}>
+              {autocall.trail.map(entry => (
+                <li key={entry.index} style={{ color: entry.status === 'triggered' ? '#007A3A' : '#333' }}>
+                  {entry.message}
+                </li>
+              ))}
+            </ul>
+            {autocall.conflicts.map(conflict => (
+              <p key={conflict.path} style={{ ...errorStyle, margin: '4px 0' }}>⚠ {conflict.message}</p>
+            ))}
+            {autocall.conflicts.length > 0 && (
+              <button
+                onClick={() => setData(prev => applyAutocall(prev, evaluateAutocall(prev, priceRows)))}
+                style={{
+                  marginTop: '8px',
+                  padding: '8px 16px',
+                  backgroundColor: '#0A255A',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: 'pointer'
+                }}
+              >
+                Apply Engine Verdict
+              </button>
+            )}
+          </div>
+        ) : (
+          <p style={{ fontSize: '12px', color: '#666', margin: '12px 0 0 0' }}>
+            Load a price file to let the autocall engine check the observations.
+          </p>
+        )}
+      </div>
+
+      {/* Observation Schedule */}
+      <div style={sectionStyle}>
+        <h3 style={{ color: '#0A255A', margin: '0 0 15px 0' }}>Observation Schedule</h3>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px' }}>
+          <label style={labelStyle}>
+            Frequency
+            <select
+              value={schedule.frequency}
+              onChange={(e) => updateSchedule('frequency', e.target.value)}
+              style={inputStyle}
+            >
+              {Object.keys(FREQUENCIES).map(frequency => (
+                <option key={frequency} value={frequency}>{frequency}</option>
+              ))}
+            </select>
+          </label>
+          <label style={labelStyle}>
+            Non-Call Period (months)
+            <input
+              type="number"
+              min="0"
+              value={schedule.nonCallMonths}
+              onChange={(e) => updateSchedule('nonCallMonths', e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+          <label style={labelStyle}>
+            First Hurdle (%)
+            <input
+              type="number"
+              value={schedule.firstHurdle}
+              onChange={(e) => updateSchedule('firstHurdle', e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+          <label style={labelStyle}>
+            Step (% per step, negative steps down)
+            <input
+              type="number"
+              step="0.5"
+              value={schedule.hurdleStep}
+              onChange={(e) => updateSchedule('hurdleStep', e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+          <label style={labelStyle}>
+            Step Every (observations)
+            <input
+              type="number"
+              min="1"
+              value={schedule.stepEvery}
+              onChange={(e) => updateSchedule('stepEvery', e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+          <label style={labelStyle}>
+            Hurdle Floor / Cap (%)
+            <input
+              type="number"
+              value={schedule.hurdleLimit}
+              onChange={(e) => updateSchedule('hurdleLimit', e.target.value)}
+              style={inputStyle}
+              placeholder="none"
+            />
+          </label>
+          <label style={labelStyle}>
+            Business-Day Roll
+            <select
+              value={schedule.roll}
+              onChange={(e) => updateSchedule('roll', e.target.value)}
+              style={inputStyle}
+            >
+              {ROLL_CONVENTIONS.map(roll => (
+                <option key={roll} value={roll}>{roll}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p style={{ fontSize: '12px', color: '#666', margin: '12px 0' }}>
+          Builds observations from the start date over {data.tenor_years} years, rolled to London
+          business days (England &amp; Wales bank holidays). Replaces the current observations.
+        </p>
+        <button
+          onClick={applySchedule}
+          style={{
+            padding: '10px 20px',
+            backgroundColor: '#0A255A',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: 'bold',
+            width: '100%'
+          }}
+        >
+          Generate Schedule
+        </button>
+        {scheduleError && <p style={{ ...errorStyle, margin: '8px 0 0 0' }}>{scheduleError}</p>}
       </div>
 
       {/* Observations */}
@@ -506,13 +1123,13 @@ function App() {
                 type="date"
                 value={obs.date}
                 onChange={(e) => updateObservation(i, 'date', e.target.value)}
-                style={{ ...inputStyle, padding: '6px 8px' }}
+                style={fieldStyle(`observations[${i}].date`, { ...inputStyle, padding: '6px 8px' })}
               />
               <input
                 type="number"
                 value={obs.hurdle_percent}
                 onChange={(e) => updateObservation(i, 'hurdle_percent', e.target.value)}
-                style={{ ...inputStyle, padding: '6px 8px' }}
+                style={fieldStyle(`observations[${i}].hurdle_percent`, { ...inputStyle, padding: '6px 8px' })}
                 placeholder="%"
               />
               <label style={{ display: 'flex', alignItems: 'center', gap: '5px', fontSize: '12px' }}>
@@ -523,6 +1140,11 @@ function App() {
                 />
                 Triggered
               </label>
+              {[`observations[${i}].date`, `observations[${i}].hurdle_percent`, `observations[${i}].triggered`].map(path => (
+                fieldErrors[path] && (
+                  <span key={path} style={{ ...errorStyle, gridColumn: '2 / -1' }}>{fieldErrors[path]}</span>
+                )
+              ))}
             </div>
           ))}
         </div>
@@ -531,6 +1153,34 @@ function App() {
       {/* Brand Colours */}
       <div style={sectionStyle}>
         <h3 style={{ color: '#0A255A', margin: '0 0 15px 0' }}>Brand Colours</h3>
+        <label style={{ ...labelStyle, marginBottom: '15px' }}>
+          Theme
+          <select
+            value={data.theme || DEFAULT_THEME}
+            onChange={(e) => updateField('theme', e.target.value)}
+            style={fieldStyle('theme')}
+          >
+            {Object.entries(THEMES).map(([name, theme]) => (
+              <option key={name} value={name}>{theme.label}</option>
+            ))}
+          </select>
+          {renderFieldError('theme')}
+          {!(THEMES[data.theme] || THEMES[DEFAULT_THEME]).planColours && (
+            <span style={{ fontSize: '12px', color: '#666' }}>
+              This theme uses its own palette in place of the brand colours below
+            </span>
+          )}
+        </label>
+        <div style={{ fontSize: '12px', marginBottom: '15px', color: contrast.passed ? '#107b44' : '#C62828' }}>
+          {contrast.passed
+            ? `Contrast: all ${contrast.checks.length} colour pairs reach ${MIN_CONTRAST}:1`
+            : `Contrast: ${contrast.failures.length} of ${contrast.checks.length} colour pairs are below ${MIN_CONTRAST}:1; the nightly generator will not publish this plan`}
+          {contrast.failures.filter(check => check.fields.length === 0).map(check => (
+            <div key={check.id}>
+              {check.label}: {check.ratio.toFixed(2)}:1 (fixed by the {contrast.theme} theme)
+            </div>
+          ))}
+        </div>
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '15px' }}>
           {Object.entries(data.brand_colours).map(([key, value]) => (
             <label key={key} style={labelStyle}>
@@ -546,9 +1196,11 @@ function App() {
                   type="text"
                   value={value}
                   onChange={(e) => updateBrandColour(key, e.target.value)}
-                  style={{ ...inputStyle, flex: 1 }}
+                  style={fieldStyle(`brand_colours.${key}`, { ...inputStyle, flex: 1 })}
                 />
               </div>
+              {renderFieldError(`brand_colours.${key}`)}
+              {renderContrastWarning(`brand_colours.${key}`)}
             </label>
           ))}
         </div>
@@ -565,8 +1217,9 @@ function App() {
               step="0.5"
               value={data.design_tokens.gap_angle_deg}
               onChange={(e) => updateDesignToken('gap_angle_deg', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('design_tokens.gap_angle_deg')}
             />
+            {renderFieldError('design_tokens.gap_angle_deg')}
           </label>
           <label style={labelStyle}>
             Tick Stroke Width
@@ -575,8 +1228,9 @@ function App() {
               step="0.5"
               value={data.design_tokens.tick_stroke_width}
               onChange={(e) => updateDesignToken('tick_stroke_width', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('design_tokens.tick_stroke_width')}
             />
+            {renderFieldError('design_tokens.tick_stroke_width')}
           </label>
           <label style={labelStyle}>
             Segment Outline Width
@@ -585,8 +1239,9 @@ function App() {
               step="0.5"
               value={data.design_tokens.segment_outline_width}
               onChange={(e) => updateDesignToken('segment_outline_width', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('design_tokens.segment_outline_width')}
             />
+            {renderFieldError('design_tokens.segment_outline_width')}
           </label>
           <label style={labelStyle}>
             Radial Offset (px)
@@ -594,8 +1249,9 @@ function App() {
               type="number"
               value={data.design_tokens.radial_offset_px}
               onChange={(e) => updateDesignToken('radial_offset_px', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('design_tokens.radial_offset_px')}
             />
+            {renderFieldError('design_tokens.radial_offset_px')}
           </label>
           <label style={labelStyle}>
             Angular Jitter (deg)
@@ -604,23 +1260,171 @@ function App() {
               step="0.5"
               value={data.design_tokens.angular_jitter_deg}
               onChange={(e) => updateDesignToken('angular_jitter_deg', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('design_tokens.angular_jitter_deg')}
+            />
+            {renderFieldError('design_tokens.angular_jitter_deg')}
+          </label>
+          <label style={labelStyle}>
+            Centre Red Within (points of barrier)
+            <input
+              type="number"
+              step="0.5"
+              value={data.design_tokens.centre_red_buffer_pct ?? CENTRE_RULE_DEFAULTS.centre_red_buffer_pct}
+              onChange={(e) => updateDesignToken('centre_red_buffer_pct', e.target.value)}
+              style={fieldStyle('design_tokens.centre_red_buffer_pct')}
+            />
+            {renderFieldError('design_tokens.centre_red_buffer_pct')}
+          </label>
+          <label style={labelStyle}>
+            Centre Amber Below Hurdle By (points)
+            <input
+              type="number"
+              step="0.5"
+              value={data.design_tokens.centre_amber_margin_pct ?? CENTRE_RULE_DEFAULTS.centre_amber_margin_pct}
+              onChange={(e) => updateDesignToken('centre_amber_margin_pct', e.target.value)}
+              style={fieldStyle('design_tokens.centre_amber_margin_pct')}
             />
+            {renderFieldError('design_tokens.centre_amber_margin_pct')}
           </label>
           <label style={labelStyle}>
             Pointer Ease
             <select
               value={data.design_tokens.pointer_ease}
               onChange={(e) => updateDesignToken('pointer_ease', e.target.value)}
-              style={inputStyle}
+              style={fieldStyle('design_tokens.pointer_ease')}
             >
               <option value="easeOutQuad">easeOutQuad</option>
               <option value="easeInQuad">easeInQuad</option>
               <option value="easeInOutQuad">easeInOutQuad</option>
               <option value="linear">linear</option>
             </select>
+            {renderFieldError('design_tokens.pointer_ease')}
+          </label>
+          <label style={labelStyle}>
+            Transition (s)
+            <input
+              type="number"
+              step="0.1"
+              min={0}
+              value={data.design_tokens.transition_seconds ?? DEFAULT_TRANSITION_SECONDS}
+              onChange={(e) => updateDesignToken('transition_seconds', e.target.value)}
+              style={fieldStyle('design_tokens.transition_seconds')}
+            />
+            {renderFieldError('design_tokens.transition_seconds')}
+          </label>
+        </div>
+      </div>
+
+      {/* Pointer Curve */}
+      <div style={sectionStyle}>
+        <h3 style={{ color: '#0A255A', margin: '0 0 15px 0' }}>Pointer Curve</h3>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '15px' }}>
+          <label style={labelStyle}>
+            Interpolation
+            <select
+              value={pointerCurve.mode}
+              onChange={(e) => updatePointerCurve({ mode: e.target.value })}
+              style={fieldStyle('design_tokens.pointer_curve.mode')}
+            >
+              {POINTER_CURVE_MODES.map(mode => (
+                <option key={mode} value={mode}>{mode}</option>
+              ))}
+            </select>
+            {renderFieldError('design_tokens.pointer_curve.mode')}
+          </label>
+          <label style={labelStyle}>
+            Clamp Min (%)
+            <input
+              type="number"
+              value={data.design_tokens.pointer_curve?.clamp?.min ?? pointerCurve.clamp.min}
+              onChange={(e) => updatePointerCurve({ clamp: { ...pointerCurve.clamp, min: parseFloat(e.target.value) } })}
+              style={fieldStyle('design_tokens.pointer_curve.clamp.min')}
+            />
+            {renderFieldError('design_tokens.pointer_curve.clamp.min')}
+          </label>
+          <label style={labelStyle}>
+            Clamp Max (%)
+            <input
+              type="number"
+              value={data.design_tokens.pointer_curve?.clamp?.max ?? pointerCurve.clamp.max}
+              onChange={(e) => updatePointerCurve({ clamp: { ...pointerCurve.clamp, max: parseFloat(e.target.value) } })}
+              style={fieldStyle('design_tokens.pointer_curve.clamp.max')}
+            />
+            {renderFieldError('design_tokens.pointer_curve.clamp.max')}
           </label>
         </div>
+        <div style={{ marginTop: '15px', maxHeight: '220px', overflowY: 'auto' }}>
+          {curveAnchors.map((anchor, i) => (
+            <div key={i} style={{
+              display: 'grid',
+              gridTemplateColumns: '30px 1fr 1fr 70px 60px',
+              gap: '10px',
+              alignItems: 'center',
+              marginBottom: '6px'
+            }}>
+              <span style={{ fontWeight: 'bold', color: '#666' }}>#{i + 1}</span>
+              <input
+                type="number"
+                value={anchor.performance}
+                onChange={(e) => updateCurveAnchor(i, 'performance', e.target.value)}
+                style={fieldStyle(`design_tokens.pointer_curve.anchors[${i}].performance`, { ...inputStyle, padding: '6px 8px' })}
+                placeholder="%"
+              />
+              <input
+                type="number"
+                value={anchor.angle}
+                onChange={(e) => updateCurveAnchor(i, 'angle', e.target.value)}
+                style={fieldStyle(`design_tokens.pointer_curve.anchors[${i}].angle`, { ...inputStyle, padding: '6px 8px' })}
+                placeholder="deg"
+              />
+              <span style={{ fontSize: '12px', color: '#666' }}>
+                {Number.isFinite(anchor.angle) ? clockTime(anchor.angle) : ''}
+              </span>
+              <button
+                onClick={() => removeCurveAnchor(i)}
+                disabled={curveAnchors.length <= 2}
+                style={{ padding: '4px 8px', borderRadius: '6px', border: '1px solid #ddd', background: 'white', cursor: 'pointer' }}
+              >
+                Remove
+              </button>
+              {[`design_tokens.pointer_curve.anchors[${i}].performance`, `design_tokens.pointer_curve.anchors[${i}].angle`].map(path => (
+                fieldErrors[path] && (
+                  <span key={path} style={{ ...errorStyle, gridColumn: '2 / -1' }}>{fieldErrors[path]}</span>
+                )
+              ))}
+            </div>
+          ))}
+          {renderFieldError('design_tokens.pointer_curve.anchors')}
+        </div>
+        <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+          <button
+            onClick={addCurveAnchor}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#0A255A',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Add Anchor
+          </button>
+          <button
+            onClick={resetPointerCurve}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: 'white',
+              color: '#0A255A',
+              border: '1px solid #0A255A',
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Reset to Default
+          </button>
+        </div>
+        {renderCurvePreview()}
       </div>
 
       {/* JSON Display */}
@@ -0,0 +1,203 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { daysBetween } from '../utils/geometry';
+import { addDays, maturityDate } from '../utils/timeline';
+import { DEFAULT_LOCALE, formatDate, formatPercent } from '../utils/locale';
+
+// Playback speeds in plan days per second of real time
+const PLAYBACK_SPEEDS = [1, 7, 30, 90, 365];
+
+// Playback frame interval
+const FRAME_MS = 50;
+
+const buttonStyle = {
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #0A255A',
+  backgroundColor: 'white',
+  color: '#0A255A',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+/**
+ * TimelineScrubber Component
+ * A bar from start_date to maturity with the observation dates marked. Drag (or use
+ * the arrow keys) to scrub, play / pause at a chosen speed, or step by day, week or
+ * observation; every move reports the new date through onChange. Dates are shown
+ * in the given locale
+ */
+const TimelineScrubber = ({ data, date, onChange, width = 512, locale = DEFAULT_LOCALE }) => {
+  const barRef = useRef(null);
+  const dateRef = useRef(date);
+  dateRef.current = date;
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(30);
+
+  const start = data.start_date;
+  const end = maturityDate(data);
+  const span = Math.max(1, daysBetween(start, end));
+  const clampDate = (day) => (day < start ? start : day > end ? end : day);
+  const percentAt = (day) => `${Math.max(0, Math.min(1, daysBetween(start, day) / span)) * 100}%`;
+
+  const observations = [...data.observations].sort((a, b) => a.date.localeCompare(b.date));
+  const nextObservation = observations.find(obs => obs.date > date);
+  const prevObservation = [...observations].reverse().find(obs => obs.date < date);
+
+  // Playback: advance `speed` days a second, stopping at maturity
+  useEffect(() => {
+    if (!playing) return;
+
+    let carry = 0;
+    const timer = setInterval(() => {
+      carry += (speed * FRAME_MS) / 1000;
+      const days = Math.floor(carry);
+      if (days < 1) return;
+      carry -= days;
+      const next = clampDate(addDays(dateRef.current, days));
+      onChange(next);
+      if (next >= end) setPlaying(false);
+    }, FRAME_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, start, end]);
+
+  const togglePlay = () => {
+    if (!playing && date >= end) onChange(start);
+    setPlaying(!playing);
+  };
+
+  const moveTo = (day) => {
+    setPlaying(false);
+    onChange(clampDate(day));
+  };
+
+  const dateAtPointer = (event) => {
+    const rect = barRef.current.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return addDays(start, Math.round(fraction * span));
+  };
+
+  const onPointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    moveTo(dateAtPointer(event));
+  };
+
+  const onPointerMove = (event) => {
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+      onChange(clampDate(dateAtPointer(event)));
+    }
+  };
+
+  const onKeyDown = (event) => {
+    const steps = { ArrowLeft: -1, ArrowRight: 1, PageDown: -7, PageUp: 7 };
+    if (event.key in steps) {
+      event.preventDefault();
+      moveTo(addDays(date, steps[event.key]));
+    } else if (event.key === 'Home' || event.key === 'End') {
+      event.preventDefault();
+      moveTo(event.key === 'Home' ? start : end);
+    }
+  };
+
+  return (
+    <div style={{ width, display: 'flex', flexDirection: 'column', gap: '8px', fontFamily: 'Inter, Segoe UI, sans-serif' }}>
+      <div
+        ref={barRef}
+        role="slider"
+        tabIndex={0}
+        aria-label="Plan date"
+        aria-valuemin={0}
+        aria-valuemax={span}
+        aria-valuenow={Math.round(daysBetween(start, date))}
+        aria-valuetext={formatDate(date, locale)}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onKeyDown={onKeyDown}
+        style={{ position: 'relative', height: '28px', cursor: 'pointer', touchAction: 'none' }}
+      >
+        {/* Track and elapsed fill */}
+        <div style={{ position: 'absolute', left: 0, right: 0, top: '12px', height: '4px', borderRadius: '2px', backgroundColor: '#107b44' }} />
+        <div style={{ position: 'absolute', left: 0, width: percentAt(date), top: '12px', height: '4px', borderRadius: '2px', backgroundColor: '#A6A6A6' }} />
+
+        {/* Observation dates: green once triggered, sky blue otherwise */}
+        {observations.map((obs, i) => (
+          <div
+            key={`${obs.date}-${i}`}
+            title={`${formatDate(obs.date, locale)} (hurdle ${formatPercent(obs.hurdle_percent, locale)})`}
+            style={{
+              position: 'absolute',
+              left: percentAt(obs.date),
+              top: '6px',
+              width: '2px',
+              height: '16px',
+              marginLeft: '-1px',
+              backgroundColor: obs.triggered ? '#0FA15A' : '#87CEEB'
+            }}
+          />
+        ))}
+
+        {/* The plan's own current_date */}
+        <div
+          title={`current_date ${formatDate(data.current_date, locale)}`}
+          style={{
+            position: 'absolute',
+            left: percentAt(data.current_date),
+            top: 0,
+            marginLeft: '-4px',
+            borderLeft: '4px solid transparent',
+            borderRight: '4px solid transparent',
+            borderTop: '6px solid #0A255A'
+          }}
+        />
+
+        {/* Scrub handle */}
+        <div style={{
+          position: 'absolute',
+          left: percentAt(date),
+          top: '7px',
+          width: '14px',
+          height: '14px',
+          marginLeft: '-7px',
+          borderRadius: '50%',
+          backgroundColor: 'white',
+          border: '2px solid #0A255A',
+          boxSizing: 'border-box'
+        }} />
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#666' }}>
+        <span>{formatDate(start, locale)}</span>
+        <strong style={{ color: '#0A255A' }}>{formatDate(date, locale)}</strong>
+        <span>{formatDate(end, locale)}</span>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center', justifyContent: 'center' }}>
+        <button onClick={() => moveTo(prevObservation?.date ?? start)} style={buttonStyle} title="Previous observation">⏮ Obs</button>
+        <button onClick={() => moveTo(addDays(date, -7))} style={buttonStyle}>−1w</button>
+        <button onClick={() => moveTo(addDays(date, -1))} style={buttonStyle}>−1d</button>
+        <button
+          onClick={togglePlay}
+          style={{ ...buttonStyle, backgroundColor: '#0A255A', color: 'white', minWidth: '64px' }}
+        >
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <button onClick={() => moveTo(addDays(date, 1))} style={buttonStyle}>+1d</button>
+        <button onClick={() => moveTo(addDays(date, 7))} style={buttonStyle}>+1w</button>
+        <button
+          onClick={() => nextObservation && moveTo(nextObservation.date)}
+          disabled={!nextObservation}
+          style={buttonStyle}
+          title="Next observation"
+        >
+          Obs ⏭
+        </button>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} style={{ ...buttonStyle, cursor: 'default' }}>
+          {PLAYBACK_SPEEDS.map(days => (
+            <option key={days} value={days}>{days} d/s</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default TimelineScrubber;
@@ -0,0 +1,199 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import DynamicLogo from './components/DynamicLogo';
+import { validatePlan } from './utils/validation';
+
+export const TAG_NAME = 'autocalls-logo';
+
+// Attributes that re-render the logo when they change
+const OBSERVED_ATTRIBUTES = ['src', 'size', 'animate', 'theme', 'locale', 'live', 'data-table'];
+
+const DEFAULT_SIZE = 512;
+
+/**
+ * <autocalls-logo> custom element
+ * Wraps DynamicLogo for pages that are not React apps. Plan data comes from the src
+ * attribute (a JSON URL) or the data property, whichever was set last; size,
+ * animate ("false" to disable), theme, locale, live and data-table mirror the
+ * component props and are reflected by the matching properties
+ * Events: load ({ data }) once src is fetched, error ({ message, errors }) when the
+ * fetch or validation fails, and, in live mode, observation / maturity with the
+ * reached date as detail (these bubble out of the shadow root)
+ * The logo renders in a shadow root, so ids and styles stay scoped per element
+ */
+export class AutocallsLogoElement extends HTMLElement {
+  static get observedAttributes() {
+    return OBSERVED_ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+    this._data = null;
+    this._request = 0;
+    this._root = null;
+    this._container = document.createElement('div');
+
+    const style = document.createElement('style');
+    style.textContent = ':host { display: inline-block; } :host([hidden]) { display: none; }';
+    this.attachShadow({ mode: 'open' }).append(style, this._container);
+  }
+
+  connectedCallback() {
+    // Properties set before the element was defined shadow the prototype accessors
+    ['data', 'src', 'size', 'animate', 'theme', 'locale', 'live'].forEach(name => {
+      if (Object.prototype.hasOwnProperty.call(this, name)) {
+        const value = this[name];
+        delete this[name];
+        this[name] = value;
+      }
+    });
+
+    this._root = this._root || createRoot(this._container);
+    this._render();
+  }
+
+  // Unmount after a microtask so moving the element (disconnect then reconnect)
+  // keeps its root, and React never unmounts while it is rendering
+  disconnectedCallback() {
+    queueMicrotask(() => {
+      if (this.isConnected) return;
+      this._root?.unmount();
+      this._root = null;
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (name === 'src') {
+      this._load(newValue);
+    } else {
+      this._render();
+    }
+  }
+
+  get data() {
+    return this._data;
+  }
+
+  set data(value) {
+    this._request++;
+    this._data = typeof value === 'string' ? JSON.parse(value) : value;
+    this._render();
+  }
+
+  get src() {
+    return this.getAttribute('src');
+  }
+
+  set src(value) {
+    this._reflect('src', value);
+  }
+
+  get size() {
+    const size = Number(this.getAttribute('size'));
+    return size > 0 ? size : DEFAULT_SIZE;
+  }
+
+  set size(value) {
+    this._reflect('size', value);
+  }
+
+  get animate() {
+    return this.getAttribute('animate') !== 'false';
+  }
+
+  set animate(value) {
+    this.setAttribute('animate', value ? 'true' : 'false');
+  }
+
+  get theme() {
+    return this.getAttribute('theme');
+  }
+
+  set theme(value) {
+    this._reflect('theme', value);
+  }
+
+  get locale() {
+    return this.getAttribute('locale');
+  }
+
+  set locale(value) {
+    this._reflect('locale', value);
+  }
+
+  get live() {
+    return this.hasAttribute('live');
+  }
+
+  set live(value) {
+    this.toggleAttribute('live', Boolean(value));
+  }
+
+  _reflect(name, value) {
+    if (value === null || value === undefined) {
+      this.removeAttribute(name);
+    } else {
+      this.setAttribute(name, String(value));
+    }
+  }
+
+  _dispatch(type, detail, bubbles = false) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles, composed: bubbles }));
+  }
+
+  // Fetch the plan at src; a later src or data property wins over a pending fetch
+  async _load(src) {
+    const request = ++this._request;
+    if (!src) return;
+
+    try {
+      const response = await fetch(src);
+      if (!response.ok) throw new Error(`Failed to load ${src}: ${response.status} ${response.statusText}`);
+      const data = await response.json();
+      if (request !== this._request) return;
+      this._data = data;
+      this._render();
+      this._dispatch('load', { data });
+    } catch (error) {
+      if (request === this._request) this._dispatch('error', { message: error.message, errors: [] });
+    }
+  }
+
+  _render() {
+    if (!this._root) return;
+
+    if (!this._data) {
+      this._root.render(null);
+      return;
+    }
+
+    const validation = validatePlan(this._data);
+    if (!validation.valid) {
+      this._root.render(null);
+      this._dispatch('error', {
+        message: validation.errors.map(({ path, message }) => (path ? `${path}: ${message}` : message)).join('; '),
+        errors: validation.errors
+      });
+      return;
+    }
+
+    this._root.render(
+      <DynamicLogo
+        data={this._data}
+        size={this.size}
+        animate={this.animate}
+        theme={this.theme || undefined}
+        locale={this.locale || undefined}
+        live={this.live}
+        dataTable={this.hasAttribute('data-table')}
+        onObservation={(event) => this._dispatch('observation', event, true)}
+        onMaturity={(event) => this._dispatch('maturity', event, true)}
+      />
+    );
+  }
+}
+
+if (!customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, AutocallsLogoElement);
+}
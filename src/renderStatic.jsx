@@ -0,0 +1,28 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import DynamicLogo from './components/DynamicLogo';
+
+// Short FNV-1a hash of a plan, so each plan's ids differ but a re-render is unchanged
+const planHash = (data) => {
+  let hash = 0x811c9dc5;
+  for (const char of JSON.stringify(data)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Server-side entry for static renders
+ * Renders the real DynamicLogo component to standalone SVG markup with animation
+ * disabled, so nightly files match what the site shows
+ * selfAnimating embeds the ring rotation and pointer sweep as inline CSS keyframes
+ * Ids, classes and keyframes are prefixed per plan, so SVGs of different plans can
+ * be inlined on one page
+ */
+export function renderLogoToSVG(data, { size = 512, selfAnimating = false } = {}) {
+  const markup = renderToStaticMarkup(
+    <DynamicLogo data={data} animate={false} size={size} selfAnimating={selfAnimating} />,
+    { identifierPrefix: `p${planHash(data)}-` }
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}\n`;
+}
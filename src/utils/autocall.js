@@ -0,0 +1,88 @@
+/**
+ * Autocall evaluation for Autocalls.uk Dynamic Logo
+ * Checks each observation's official close against initial_strike_level × hurdle,
+ * calls the plan on the first qualifying observation and keeps a trail explaining
+ * every comparison, plus any disagreement with the manually entered flags
+ */
+
+import { officialCloses, DEFAULT_CLOSE_TIME } from './prices.js';
+
+const formatLevel = (level) => String(Math.round(level * 100) / 100);
+
+/**
+ * Evaluate a plan against a price history (rows from parsePriceHistory)
+ * Observations after current_date are pending, those after the call are not
+ * observed, and an observation without a close on its date cannot be evaluated.
+ * Returns {
+ *   observations,            the plan's observations with engine triggered flags
+ *   is_called, called_date,  the engine's verdict
+ *   trail: [{ index, date, hurdle_percent, threshold, level, status, message }],
+ *          status is triggered | below | pending | not-observed | no-close
+ *   conflicts: [{ path, message }]  manual flags that disagree with the engine
+ * }
+ */
+export function evaluateAutocall(data, rows) {
+  const closeTime = data.market_close_time_gmt || DEFAULT_CLOSE_TIME;
+  const closes = new Map(officialCloses(rows, closeTime).map(row => [row.date, row.close]));
+  const strike = data.initial_strike_level;
+
+  const ordered = data.observations
+    .map((obs, index) => ({ obs, index }))
+    .sort((a, b) => a.obs.date.localeCompare(b.obs.date));
+
+  const triggeredAt = new Set();
+  const trail = [];
+  let calledDate = null;
+
+  ordered.forEach(({ obs, index }) => {
+    const threshold = strike * obs.hurdle_percent / 100;
+    const level = closes.has(obs.date) ? closes.get(obs.date) : null;
+    const entry = { index, date: obs.date, hurdle_percent: obs.hurdle_percent, threshold, level };
+    const test = `${formatLevel(strike)} × ${obs.hurdle_percent}% = ${formatLevel(threshold)}`;
+
+    if (calledDate) {
+      trail.push({ ...entry, status: 'not-observed', message: `${obs.date}: not observed, plan called on ${calledDate}` });
+    } else if (obs.date > data.current_date) {
+      trail.push({ ...entry, status: 'pending', message: `${obs.date}: pending, hurdle ${test}` });
+    } else if (level === null) {
+      trail.push({ ...entry, status: 'no-close', message: `${obs.date}: no close in the price history` });
+    } else if (level >= threshold) {
+      calledDate = obs.date;
+      triggeredAt.add(index);
+      trail.push({ ...entry, status: 'triggered', message: `${obs.date}: close ${formatLevel(level)} ≥ ${test}, plan called` });
+    } else {
+      trail.push({ ...entry, status: 'below', message: `${obs.date}: close ${formatLevel(level)} < ${test}` });
+    }
+  });
+
+  const observations = data.observations.map((obs, index) => ({ ...obs, triggered: triggeredAt.has(index) }));
+  const conflicts = [];
+  trail.forEach(({ index, date, status }) => {
+    const manual = Boolean(data.observations[index].triggered);
+    if (manual === triggeredAt.has(index)) return;
+    const verdict = status === 'no-close' ? 'cannot confirm it (no close that day)' : `says ${manual ? 'not triggered' : 'triggered'}`;
+    conflicts.push({
+      path: `observations[${index}].triggered`,
+      message: `observations[${index}] (${date}) is marked ${manual ? 'triggered' : 'not triggered'} but the engine ${verdict}`
+    });
+  });
+  if (Boolean(data.is_called) !== Boolean(calledDate)) {
+    conflicts.push({ path: 'is_called', message: `is_called is ${Boolean(data.is_called)} but the engine says ${Boolean(calledDate)}` });
+  } else if (calledDate && data.called_date !== calledDate) {
+    conflicts.push({ path: 'called_date', message: `called_date is ${data.called_date} but the engine says ${calledDate}` });
+  }
+
+  return { observations, is_called: Boolean(calledDate), called_date: calledDate, trail, conflicts };
+}
+
+/**
+ * Plan data with the engine's triggered flags and call applied
+ */
+export function applyAutocall(data, evaluation) {
+  return {
+    ...data,
+    observations: evaluation.observations,
+    is_called: evaluation.is_called,
+    called_date: evaluation.called_date
+  };
+}
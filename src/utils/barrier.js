@@ -0,0 +1,85 @@
+/**
+ * Barrier monitoring for Autocalls.uk Dynamic Logo
+ * Decides from the price history whether the capital barrier
+ * (initial_strike_level × (1 + barrier_percent)) has been breached, recording the
+ * first breach date and the lowest monitored level
+ */
+
+import { officialCloses, DEFAULT_CLOSE_TIME } from './prices.js';
+import { maturityDate } from './timeline.js';
+
+/**
+ * Monitoring modes
+ *   european  end of term only: the close on the final observation date
+ *   american  every official daily close
+ *   intraday  every print and intraday low
+ */
+export const BARRIER_MODES = ['european', 'american', 'intraday'];
+
+/**
+ * Barrier level in index points
+ */
+export function barrierLevel(data) {
+  return data.initial_strike_level * (1 + Number(data.barrier_percent) / 100);
+}
+
+/**
+ * Levels the barrier is monitored against up to current_date, as [{ date, level }]
+ */
+function monitoredLevels(data, rows, mode) {
+  const closeTime = data.market_close_time_gmt || DEFAULT_CLOSE_TIME;
+  const inTerm = (date) => date > data.start_date && date <= data.current_date;
+
+  if (mode === 'european') {
+    const finalDate = data.observations.reduce((last, obs) => (obs.date > last ? obs.date : last), '') || maturityDate(data);
+    return officialCloses(rows, closeTime)
+      .filter(row => row.date === finalDate && inTerm(row.date))
+      .map(row => ({ date: row.date, level: row.close }));
+  }
+  if (mode === 'american') {
+    return officialCloses(rows, closeTime)
+      .filter(row => inTerm(row.date))
+      .map(row => ({ date: row.date, level: row.close }));
+  }
+  return rows
+    .filter(row => inTerm(row.date))
+    .map(row => ({ date: row.date, level: Number.isFinite(row.low) ? Math.min(row.low, row.close) : row.close }));
+}
+
+/**
+ * Monitor the barrier over a price history (rows from parsePriceHistory)
+ * mode defaults to the plan's barrier_monitoring, then european
+ * Returns { mode, level, breached, first_breach_date, lowest_level, lowest_date };
+ * lowest_* are null until something has been monitored
+ */
+export function monitorBarrier(data, rows, mode = data.barrier_monitoring || 'european') {
+  if (!BARRIER_MODES.includes(mode)) {
+    throw new Error(`Unknown barrier monitoring "${mode}" (expected ${BARRIER_MODES.join(', ')})`);
+  }
+
+  const level = barrierLevel(data);
+  const levels = monitoredLevels(data, rows, mode).sort((a, b) => a.date.localeCompare(b.date));
+  const breach = levels.find(entry => entry.level <= level);
+  const lowest = levels.reduce((low, entry) => (!low || entry.level < low.level ? entry : low), null);
+
+  return {
+    mode,
+    level,
+    breached: Boolean(breach),
+    first_breach_date: breach ? breach.date : null,
+    lowest_level: lowest ? lowest.level : null,
+    lowest_date: lowest ? lowest.date : null
+  };
+}
+
+/**
+ * Plan data with a barrier monitor result recorded in barrier_breach
+ */
+export function applyBarrier(data, result) {
+  const { breached, first_breach_date, lowest_level, lowest_date } = result;
+  return {
+    ...data,
+    barrier_monitoring: result.mode,
+    barrier_breach: { breached, first_breach_date, lowest_level, lowest_date }
+  };
+}
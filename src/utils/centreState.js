@@ -0,0 +1,97 @@
+/**
+ * Centre state rules for Autocalls.uk Dynamic Logo
+ * The centre dot shows Green / Amber / Red. A supplied centre_state is honoured;
+ * otherwise the state is derived from the plan with thresholds from design_tokens
+ */
+
+import { calculatePerformance } from './geometry.js';
+import { nextObservation } from './timeline.js';
+
+export const CENTRE_STATES = ['Green', 'Amber', 'Red'];
+
+// Palette key (see utils/themes.js) of the centre dot in each state
+export const CENTRE_STATE_COLOURS = { Green: 'greenAccent', Amber: 'amber', Red: 'barrierRed' };
+
+// Default thresholds, overridable in design_tokens
+//   centre_red_buffer_pct    Red within this many percentage points above the barrier
+//   centre_amber_margin_pct  Amber when more than this many points below the next hurdle
+export const CENTRE_RULE_DEFAULTS = {
+  centre_red_buffer_pct: 10,
+  centre_amber_margin_pct: 0
+};
+
+/**
+ * Hurdle the plan is measured against: the next observation (see timeline.js),
+ * else the last one
+ */
+function nextHurdle(data) {
+  const observations = [...(data.observations || [])].sort((a, b) => a.date.localeCompare(b.date));
+  return nextObservation(data) || observations[observations.length - 1] || null;
+}
+
+/**
+ * Resolve the centre state
+ * Rules, first match wins:
+ *   supplied            centre_state is set
+ *   called              the plan has been called → Green
+ *   barrier-breached    barrier_breach records a breach → Red
+ *   near-barrier        performance within centre_red_buffer_pct of the barrier → Red
+ *   below-hurdle        more than centre_amber_margin_pct below the next hurdle → Amber
+ *   at-or-above-hurdle  otherwise → Green
+ * Returns { state, rule, reason }
+ */
+export function resolveCentreState(data) {
+  if (CENTRE_STATES.includes(data.centre_state)) {
+    return { state: data.centre_state, rule: 'supplied', reason: `centre_state is ${data.centre_state}` };
+  }
+
+  const tokens = { ...CENTRE_RULE_DEFAULTS };
+  Object.keys(tokens).forEach(key => {
+    const value = Number(data.design_tokens?.[key]);
+    if (data.design_tokens?.[key] !== undefined && Number.isFinite(value)) tokens[key] = value;
+  });
+
+  if (data.is_called) {
+    return { state: 'Green', rule: 'called', reason: `called${data.called_date ? ` on ${data.called_date}` : ''}` };
+  }
+  if (data.barrier_breach?.breached) {
+    return {
+      state: 'Red',
+      rule: 'barrier-breached',
+      reason: `barrier breached${data.barrier_breach.first_breach_date ? ` on ${data.barrier_breach.first_breach_date}` : ''}`
+    };
+  }
+
+  const performance = calculatePerformance(data.initial_strike_level, data.current_level);
+  const barrier = Number(data.barrier_percent);
+  const headroom = performance - barrier;
+  if (Number.isFinite(headroom) && headroom <= tokens.centre_red_buffer_pct) {
+    return {
+      state: 'Red',
+      rule: 'near-barrier',
+      reason: `${performance.toFixed(1)}% is ${headroom.toFixed(1)} points above the ${barrier}% barrier (red within ${tokens.centre_red_buffer_pct})`
+    };
+  }
+
+  // Hurdles are levels as a percentage of strike, so the reasons quote the level too
+  const hurdle = nextHurdle(data);
+  if (hurdle) {
+    const level = `${(100 + performance).toFixed(1)}% of strike`;
+    const shortfall = (hurdle.hurdle_percent - 100) - performance;
+    if (shortfall > tokens.centre_amber_margin_pct) {
+      return {
+        state: 'Amber',
+        rule: 'below-hurdle',
+        reason: `${level} is ${shortfall.toFixed(1)} points below the ${hurdle.hurdle_percent}% hurdle on ${hurdle.date}`
+      };
+    }
+    return {
+      state: 'Green',
+      rule: 'at-or-above-hurdle',
+      reason: shortfall <= 0
+        ? `${level} is at or above the ${hurdle.hurdle_percent}% hurdle on ${hurdle.date}`
+        : `${level} is within ${tokens.centre_amber_margin_pct} points of the ${hurdle.hurdle_percent}% hurdle on ${hurdle.date}`
+    };
+  }
+  return { state: 'Green', rule: 'at-or-above-hurdle', reason: 'no hurdle to measure against' };
+}
@@ -0,0 +1,126 @@
+/**
+ * Colour utilities for Autocalls.uk Dynamic Logo
+ * Parses the colour strings used in plan JSON and the palette (#rgb, #rrggbb,
+ * rgb() and hsl()) into channel values, and measures WCAG contrast between them
+ */
+
+/**
+ * Convert HSL (h in degrees, s and l in 0-100) to RGB channels (0-255)
+ */
+function hslToRgb(h, s, l) {
+  const sat = s / 100;
+  const light = l / 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = sat * Math.min(light, 1 - light);
+  const f = (n) => light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+}
+
+/**
+ * Parse a colour string into { r, g, b, a } (channels 0-255, alpha 0-1)
+ * Returns null for anything unparseable
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const str = value.trim().toLowerCase();
+
+  const hex = str.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  const fn = str.match(/^(rgb|hsl)a?\(\s*([^)]*)\)$/);
+  if (fn) {
+    const parts = fn[2].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    if (parts.length < 3 || parts.slice(0, 3).some(Number.isNaN)) return null;
+    const a = Number.isFinite(parts[3]) ? parts[3] : 1;
+    const channels = fn[1] === 'rgb'
+      ? { r: parts[0], g: parts[1], b: parts[2] }
+      : hslToRgb(parts[0], parts[1], parts[2]);
+    return { ...channels, a };
+  }
+
+  if (str === 'white') return { r: 255, g: 255, b: 255, a: 1 };
+  if (str === 'black') return { r: 0, g: 0, b: 0, a: 1 };
+  return null;
+}
+
+/**
+ * Convert RGB channels (0-255) to HSL (h in degrees, s and l in 0-100)
+ */
+function rgbToHsl(r, g, b) {
+  const [red, green, blue] = [r, g, b].map(c => c / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const light = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) return { h: 0, s: 0, l: light * 100 };
+
+  const sat = delta / (1 - Math.abs(2 * light - 1));
+  let hue;
+  if (max === red) hue = ((green - blue) / delta) % 6;
+  else if (max === green) hue = (blue - red) / delta + 2;
+  else hue = (red - green) / delta + 4;
+  return { h: (hue * 60 + 360) % 360, s: sat * 100, l: light * 100 };
+}
+
+/**
+ * Format RGB channels (0-255) as #RRGGBB
+ */
+export function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+/**
+ * WCAG relative luminance of a colour string (0 black → 1 white), or null
+ * Alpha is ignored: the logo paints opaque colours
+ */
+export function relativeLuminance(value) {
+  const color = parseColor(value);
+  if (!color) return null;
+  const linear = (c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(color.r) + 0.7152 * linear(color.g) + 0.0722 * linear(color.b);
+}
+
+/**
+ * WCAG contrast ratio between two colour strings (1 → 21), or null when either
+ * cannot be parsed
+ */
+export function contrastRatio(a, b) {
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  if (la === null || lb === null) return null;
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * Closest shade of a colour (same hue and saturation, lightness moved as little as
+ * possible) with at least minRatio contrast against a background, as #RRGGBB
+ * Returns the colour itself when it already passes, null when it cannot be parsed
+ */
+export function nearestPassingShade(value, background, minRatio) {
+  const color = parseColor(value);
+  if (!color || relativeLuminance(background) === null) return null;
+  const hex = toHex(color);
+  if (contrastRatio(hex, background) >= minRatio) return hex;
+
+  const { h, s, l } = rgbToHsl(color.r, color.g, color.b);
+  for (let step = 1; step <= 100; step++) {
+    for (const light of [l - step, l + step]) {
+      if (light < 0 || light > 100) continue;
+      const shade = toHex(hslToRgb(h, s, light));
+      if (contrastRatio(shade, background) >= minRatio) return shade;
+    }
+  }
+  // Black or white always reaches 4.5:1; only ratios near 21 are out of reach
+  return null;
+}
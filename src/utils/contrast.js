@@ -0,0 +1,94 @@
+/**
+ * Contrast audit for Autocalls.uk Dynamic Logo
+ * Checks each foreground / background pair the logo paints, in a plan's theme and
+ * brand colours, against the brief's minimum contrast. Every failure names the plan
+ * fields that set its colours and the nearest passing shade, so the App can flag
+ * the control and the nightly generator can refuse to publish
+ */
+
+import { contrastRatio, nearestPassingShade } from './color.js';
+import { resolveColors } from './scene.js';
+import { resolveTheme, brandSources } from './themes.js';
+
+// Minimum contrast ratio from the brief (WCAG AA for body text)
+export const MIN_CONTRAST = 4.5;
+
+/**
+ * Pairs the logo paints, as palette keys (see utils/themes.js)
+ * Outlined shapes are checked against their outline, which carries the edge;
+ * bottomArrow is the plan's bottom_arrow_color or the theme's green
+ */
+export const CONTRAST_PAIRS = [
+  { id: 'counterparty', label: 'Counterparty text', foreground: 'navy', background: 'background' },
+  { id: 'performance-gain', label: 'Performance gain and called date text', foreground: 'greenPrimary', background: 'background' },
+  { id: 'performance-loss', label: 'Performance loss text', foreground: 'barrierRed', background: 'background' },
+  { id: 'breach-badge', label: 'Barrier breached badge text', foreground: 'white', background: 'barrierRed' },
+  { id: 'wordmark-navy', label: 'Wordmark navy text', foreground: 'wordmarkNavy', background: 'background' },
+  { id: 'wordmark-green', label: 'Wordmark green text', foreground: 'wordmarkGreen', background: 'background' },
+  { id: 'future-arrow', label: 'Future observation arrow against its outline', foreground: 'futureArrow', background: 'navy' },
+  { id: 'past-arrow', label: 'Past observation arrow against its outline', foreground: 'greyMid', background: 'navy' },
+  { id: 'bottom-arrow', label: 'Bottom arrow on the background', foreground: 'bottomArrow', background: 'background' }
+];
+
+/**
+ * Audit a plan's colours
+ * theme overrides the plan's theme field, as in buildScene
+ * Returns { theme, passed, checks, failures }; each check is
+ * { id, label, foreground, background, ratio, passed, fields, suggestion } where
+ * fields are the plan paths behind the two colours and suggestion is
+ * { field, color }, the nearest passing shade for the colour the plan controls
+ * (field null when the theme fixes both)
+ */
+export function auditContrast(data, { theme: themeName } = {}) {
+  const theme = resolveTheme(themeName || data.theme);
+  const colors = resolveColors(data.brand_colours, theme.name);
+  const sources = brandSources(theme.name);
+  const customArrow = theme.planColours && data.bottom_arrow_color;
+
+  const colorOf = (key) => (key === 'bottomArrow' ? customArrow || colors.greenPrimary : colors[key]);
+  const fieldOf = (key) => {
+    if (key === 'bottomArrow' && customArrow) return 'bottom_arrow_color';
+    const brandKey = sources[key === 'bottomArrow' ? 'greenPrimary' : key];
+    return brandKey ? `brand_colours.${brandKey}` : null;
+  };
+
+  const checks = CONTRAST_PAIRS.map(pair => {
+    const foreground = colorOf(pair.foreground);
+    const background = colorOf(pair.background);
+    const ratio = contrastRatio(foreground, background);
+    const passed = ratio !== null && ratio >= MIN_CONTRAST;
+    const foregroundField = fieldOf(pair.foreground);
+    const backgroundField = fieldOf(pair.background);
+
+    // Prefer moving the foreground; move the background only when the plan sets it alone
+    let suggestion = null;
+    if (!passed && ratio !== null) {
+      suggestion = backgroundField && !foregroundField
+        ? { field: backgroundField, color: nearestPassingShade(background, foreground, MIN_CONTRAST) }
+        : { field: foregroundField, color: nearestPassingShade(foreground, background, MIN_CONTRAST) };
+    }
+
+    return {
+      id: pair.id,
+      label: pair.label,
+      foreground,
+      background,
+      ratio,
+      passed,
+      fields: [foregroundField, backgroundField].filter(Boolean),
+      suggestion
+    };
+  });
+
+  const failures = checks.filter(check => !check.passed);
+  return { theme: theme.name, passed: failures.length === 0, checks, failures };
+}
+
+/**
+ * One-line description of a failed check
+ */
+export function describeContrastFailure(check) {
+  const ratio = check.ratio === null ? 'unreadable colours' : `${check.ratio.toFixed(2)}:1`;
+  const fix = check.suggestion?.color ? `; nearest passing shade ${check.suggestion.color}` : '';
+  return `${check.label}: ${check.foreground} on ${check.background} is ${ratio}, below ${MIN_CONTRAST}:1${fix}`;
+}
@@ -0,0 +1,141 @@
+/**
+ * Accessible description for Autocalls.uk Dynamic Logo
+ * Puts what the logo shows into words: the plan year, the next observation and its
+ * hurdle, the distance to the barrier and the called status. The component writes
+ * it as the SVG's <title> and <desc> (and, when asked, a visually hidden data
+ * table), so the site and the static files carry the same text
+ */
+
+import { calculatePerformance } from './geometry.js';
+import { addDays, addMonths, maturityDate, tenorMonths, isISODate, nextObservation } from './timeline.js';
+import { resolveCentreState } from './centreState.js';
+import { DEFAULT_LOCALE, translate, formatDate, formatNumber, formatPercent } from './locale.js';
+
+// Catalogue keys for the centre state names and rules
+const STATE_KEYS = { Green: 'stateGreen', Amber: 'stateAmber', Red: 'stateRed' };
+const RULE_KEYS = {
+  supplied: 'ruleSupplied',
+  called: 'ruleCalled',
+  'barrier-breached': 'ruleBarrierBreached',
+  'near-barrier': 'ruleNearBarrier',
+  'below-hurdle': 'ruleBelowHurdle',
+  'at-or-above-hurdle': 'ruleAtOrAboveHurdle'
+};
+
+/**
+ * Plan year holding current_date: { number, total, start, end }, or
+ * { before } / { matured } outside the plan; null when the dates are unusable
+ */
+function planYear(data) {
+  const { start_date, current_date } = data;
+  if (!isISODate(start_date) || !isISODate(current_date) || !(Number(data.tenor_years) > 0)) return null;
+
+  const maturity = maturityDate(data);
+  if (current_date < start_date) return { before: start_date };
+  if (current_date > maturity) return { matured: maturity };
+
+  const total = Math.ceil(tenorMonths(data) / 12);
+  let index = 0;
+  while (index < total - 1 && addMonths(start_date, 12 * (index + 1)) <= current_date) index++;
+  const nextStart = addMonths(start_date, 12 * (index + 1));
+  return {
+    number: index + 1,
+    total,
+    start: addMonths(start_date, 12 * index),
+    end: index === total - 1 ? maturity : addDays(nextStart, -1)
+  };
+}
+
+/**
+ * Describe a plan for assistive technology, in a locale (see utils/locale.js)
+ * Returns { title, text, facts: [{ label, value }] }; text is the facts as sentences
+ */
+export function describePlan(data, locale = DEFAULT_LOCALE) {
+  const t = (key, params) => translate(locale, key, params);
+  const date = (value) => formatDate(value, locale);
+  const number = (value) => formatNumber(value, locale);
+  const percent = (value, options) => formatPercent(value, locale, options);
+  const points = (value) => t('points', { value: formatNumber(Math.abs(value), locale, { digits: 1 }) });
+
+  const performance = calculatePerformance(data.initial_strike_level, data.current_level);
+  const strike = Number(data.initial_strike_level);
+  const facts = [];
+  const sentences = [];
+  const add = (label, value, sentence) => {
+    facts.push({ label: t(label), value });
+    sentences.push(sentence);
+  };
+
+  add('factPlan', data.plan_name, data.counterparty
+    ? t('planWithCounterpartyAsOf', { plan: data.plan_name, counterparty: data.counterparty, date: date(data.current_date) })
+    : t('planAsOf', { plan: data.plan_name, date: date(data.current_date) }));
+
+  const year = planYear(data);
+  if (year?.before) {
+    add('factPlanYear', t('notStartedValue', { date: date(year.before) }), t('notStartedSentence', { date: date(year.before) }));
+  } else if (year?.matured) {
+    add('factPlanYear', t('maturedValue', { date: date(year.matured) }), t('maturedSentence', { date: date(year.matured) }));
+  } else if (year) {
+    const params = { number: year.number, total: year.total, start: date(year.start), end: date(year.end) };
+    add('factPlanYear', t('planYearValue', params), t('planYearSentence', params));
+  }
+
+  if (Number.isFinite(performance)) {
+    const params = {
+      performance: percent(performance, { digits: 1, signed: true }),
+      level: number(Number(data.current_level)),
+      strike: number(strike)
+    };
+    add('factPerformance', t('performanceValue', params), t('performanceSentence', params));
+  }
+
+  if (data.is_called) {
+    add('factCalled',
+      data.called_date ? t('calledOnValue', { date: date(data.called_date) }) : t('yes'),
+      data.called_date ? t('calledOnSentence', { date: date(data.called_date) }) : t('calledSentence'));
+  } else {
+    add('factCalled', t('no'), t('notCalledSentence'));
+
+    const next = nextObservation(data);
+    const margin = next ? performance - (next.hurdle_percent - 100) : NaN;
+    if (next && Number.isFinite(margin)) {
+      const params = {
+        date: date(next.date),
+        hurdle: percent(next.hurdle_percent),
+        distance: t(margin >= 0 ? 'aboveHurdle' : 'belowHurdle', { points: points(margin) })
+      };
+      add('factNextObservation', t('nextObservationValue', params), t('nextObservationSentence', params));
+    } else if (!next) {
+      add('factNextObservation', t('noneRemaining'), t('noneRemainingSentence'));
+    }
+  }
+
+  const barrier = Number(data.barrier_percent);
+  if (Number.isFinite(barrier) && Number.isFinite(strike)) {
+    const params = { barrier: percent(barrier), level: number(strike * (1 + barrier / 100)) };
+    if (data.barrier_breach?.breached) {
+      const when = data.barrier_breach.first_breach_date;
+      add('factBarrier',
+        when ? t('barrierBreachedOnValue', { ...params, date: date(when) }) : t('barrierBreachedValue', params),
+        when ? t('barrierBreachedOnSentence', { ...params, date: date(when) }) : t('barrierBreachedSentence', params));
+    } else if (Number.isFinite(performance)) {
+      const headroom = performance - barrier;
+      const side = headroom >= 0 ? 'Below' : 'Above';
+      const withPoints = { ...params, points: points(headroom) };
+      add('factBarrier', t(`barrier${side}Value`, withPoints), t(`barrier${side}Sentence`, withPoints));
+    }
+  }
+
+  const centre = resolveCentreState(data);
+  const status = { state: t(STATE_KEYS[centre.state]), reason: t(RULE_KEYS[centre.rule]) };
+  add('factStatus', t('statusValue', status), t('statusSentence', status));
+
+  return {
+    title: t('title', {
+      plan: data.plan_name,
+      performance: Number.isFinite(performance) ? percent(performance, { digits: 1, signed: true }) : '?'
+    }),
+    text: sentences.join(' '),
+    facts
+  };
+}
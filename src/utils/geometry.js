@@ -72,118 +72,168 @@ export function calculateObservationTickAngle(startDate, observationDate, curren
 }
 
 /**
- * Pointer 'A' piecewise linear mapping
- * Maps market performance percentage to clock angle
- * -50% = 8:00 (-120°)
- * -30% = 9:00 (-90°)
- * -15% = 10:00 (-60°)
- * -5% = 11:00 (-30°)
- * 0% = 12:00 (0°)
- * +5% = 1:00 (+30°)
- * +15% = 2:00 (+60°)
- * +30% = 3:00 (+90°)
- * +50% = 4:00 (+120°)
+ * EaseOutQuad easing function
  */
-export function mapPerformanceToAngle(performancePercent) {
-  // Clamp to ±50%
-  const pct = Math.max(-50, Math.min(50, performancePercent));
-  
-  // Piecewise linear mapping with breakpoints
-  // Negative side: -50 to -30 to -15 to -5 to 0
-  // Positive side: 0 to 5 to 15 to 30 to 50
-  if (pct <= -30) {
-    // -50% to -30%: maps to -120° to -90° (30° over 20%)
-    return -90 + ((pct + 30) / 20) * 30; // slope: 1.5° per 1%
-  } else if (pct <= -15) {
-    // -30% to -15%: maps to -90° to -60° (30° over 15%)
-    return -60 + ((pct + 15) / 15) * 30; // slope: 2° per 1%
-  } else if (pct <= -5) {
-    // -15% to -5%: maps to -60° to -30° (30° over 10%)
-    return -30 + ((pct + 5) / 10) * 30; // slope: 3° per 1%
-  } else if (pct <= 0) {
-    // -5% to 0%: maps to -30° to 0° (30° over 5%)
-    return (pct / 5) * 30; // slope: 6° per 1%
-  } else if (pct <= 5) {
-    // 0% to 5%: maps to 0° to 30° (30° over 5%)
-    return (pct / 5) * 30; // slope: 6° per 1%
-  } else if (pct <= 15) {
-    // 5% to 15%: maps to 30° to 60° (30° over 10%)
-    return 30 + ((pct - 5) / 10) * 30; // slope: 3° per 1%
-  } else if (pct <= 30) {
-    // 15% to 30%: maps to 60° to 90° (30° over 15%)
-    return 60 + ((pct - 15) / 15) * 30; // slope: 2° per 1%
-  } else {
-    // 30% to 50%: maps to 90° to 120° (30° over 20%)
-    return 90 + ((pct - 30) / 20) * 30; // slope: 1.5° per 1%
-  }
+export function easeOutQuad(t) {
+  return t * (2 - t);
 }
 
 /**
- * EaseOutQuad easing function
+ * Easing functions selectable by the pointer_ease design token
  */
-export function easeOutQuad(t) {
-  return t * (2 - t);
+export const EASINGS = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad,
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t)
+};
+
+/**
+ * CSS timing functions matching EASINGS, for motion embedded in standalone SVGs
+ */
+export const CSS_EASINGS = {
+  linear: 'linear',
+  easeInQuad: 'cubic-bezier(0.11, 0, 0.5, 0)',
+  easeOutQuad: 'cubic-bezier(0.5, 1, 0.89, 1)',
+  easeInOutQuad: 'cubic-bezier(0.45, 0, 0.55, 1)'
+};
+
+/**
+ * Look up an easing function by name, falling back to easeOutQuad
+ */
+export function getEasing(name) {
+  return EASINGS[name] || easeOutQuad;
 }
 
 /**
- * Map barrier percentage to angle (same piecewise mapping as performance)
- * -50% = 8:00 (-120°)
- * -30% = 9:00 (-90°)
- * -15% = 10:00 (-60°)
- * -5% = 11:00 (-30°)
- * 0% = 12:00 (0°)
- * +5% = 1:00 (+30°)
- * +15% = 2:00 (+60°)
- * +30% = 3:00 (+90°)
- * +50% = 4:00 (+120°)
+ * Pointer mapping curve: market performance % → clock angle (0° = 12:00)
+ *   anchors  [{ performance, angle }] in ascending performance
+ *   mode     linear | eased (easeInOutQuad within each band) | monotone (monotone cubic)
+ *   clamp    { min, max } performance range the pointer can show
+ * The default is piecewise linear through ±5% = 1:00/11:00, ±15% = 2:00/10:00,
+ * ±30% = 3:00/9:00 and ±50% = 4:00/8:00
  */
-export function mapBarrierToAngle(barrierPercent) {
-  // Use the same piecewise linear mapping as performance
-  return mapPerformanceToAngle(barrierPercent);
+export const POINTER_CURVE_MODES = ['linear', 'eased', 'monotone'];
+
+export const DEFAULT_POINTER_CURVE = {
+  anchors: [
+    { performance: -50, angle: -120 },
+    { performance: -30, angle: -90 },
+    { performance: -15, angle: -60 },
+    { performance: -5, angle: -30 },
+    { performance: 0, angle: 0 },
+    { performance: 5, angle: 30 },
+    { performance: 15, angle: 60 },
+    { performance: 30, angle: 90 },
+    { performance: 50, angle: 120 }
+  ],
+  mode: 'linear',
+  clamp: { min: -50, max: 50 }
+};
+
+/**
+ * Pointer curve from design_tokens.pointer_curve, each of anchors, mode and clamp
+ * falling back to the default when missing or unusable
+ */
+export function resolvePointerCurve(designTokens) {
+  const custom = designTokens?.pointer_curve || {};
+
+  // Unusable anchors (non-numeric, or repeating a performance) are dropped
+  const anchors = (Array.isArray(custom.anchors) ? custom.anchors : [])
+    .filter(anchor => Number.isFinite(anchor?.performance) && Number.isFinite(anchor?.angle))
+    .sort((a, b) => a.performance - b.performance)
+    .filter((anchor, i, sorted) => i === 0 || anchor.performance > sorted[i - 1].performance);
+  const clamp = { ...DEFAULT_POINTER_CURVE.clamp };
+  ['min', 'max'].forEach(key => {
+    if (Number.isFinite(custom.clamp?.[key])) clamp[key] = custom.clamp[key];
+  });
+
+  return {
+    anchors: anchors.length >= 2 ? anchors : DEFAULT_POINTER_CURVE.anchors,
+    mode: POINTER_CURVE_MODES.includes(custom.mode) ? custom.mode : DEFAULT_POINTER_CURVE.mode,
+    clamp
+  };
 }
 
 /**
- * Map hurdle percentage (relative-to-strike level, e.g. 100 = strike) to angle.
- * Mapping breakpoints (clock positions):
- * 50%  = 8:00  (-120°)
- * 70%  = 9:00  (-90°)
- * 85%  = 10:00 (-60°)
- * 95%  = 11:00 (-30°)
- * 100% = 12:00 (0°)
- * 105% = 1:00  (+30°)
- * 115% = 2:00  (+60°)
- * 130% = 3:00  (+90°)
- * 150% = 4:00  (+120°)
+ * Tangents for a monotone cubic through the anchors (Fritsch-Carlson), so the
+ * curve never overshoots an anchor
  */
-export function mapHurdlePercentToAngle(hurdlePercent) {
-  // Clamp to 50%..150%
-  const pct = Math.max(50, Math.min(150, hurdlePercent));
-
-  if (pct <= 70) {
-    // 50% to 70%: -120° to -90° (30° over 20%)
-    return -90 + ((pct - 70) / 20) * 30;
-  } else if (pct <= 85) {
-    // 70% to 85%: -90° to -60° (30° over 15%)
-    return -60 + ((pct - 85) / 15) * 30;
-  } else if (pct <= 95) {
-    // 85% to 95%: -60° to -30° (30° over 10%)
-    return -30 + ((pct - 95) / 10) * 30;
-  } else if (pct <= 100) {
-    // 95% to 100%: -30° to 0° (30° over 5%)
-    return ((pct - 100) / 5) * 30;
-  } else if (pct <= 105) {
-    // 100% to 105%: 0° to 30° (30° over 5%)
-    return ((pct - 100) / 5) * 30;
-  } else if (pct <= 115) {
-    // 105% to 115%: 30° to 60° (30° over 10%)
-    return 30 + ((pct - 105) / 10) * 30;
-  } else if (pct <= 130) {
-    // 115% to 130%: 60° to 90° (30° over 15%)
-    return 60 + ((pct - 115) / 15) * 30;
-  } else {
-    // 130% to 150%: 90° to 120° (30° over 20%)
-    return 90 + ((pct - 130) / 20) * 30;
+function monotoneTangents(anchors) {
+  const slopes = anchors.slice(1).map((anchor, i) => (
+    (anchor.angle - anchors[i].angle) / (anchor.performance - anchors[i].performance)
+  ));
+  const tangents = anchors.map((_, i) => {
+    if (i === 0) return slopes[0];
+    if (i === anchors.length - 1) return slopes[slopes.length - 1];
+    return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  });
+
+  slopes.forEach((slope, i) => {
+    if (slope === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      return;
+    }
+    const a = tangents[i] / slope;
+    const b = tangents[i + 1] / slope;
+    const h = Math.hypot(a, b);
+    if (h > 3) {
+      tangents[i] = (3 * a / h) * slope;
+      tangents[i + 1] = (3 * b / h) * slope;
+    }
+  });
+  return tangents;
+}
+
+/**
+ * Map market performance percentage to clock angle along a pointer curve
+ * Performance is clamped to the curve's clamp range and its outermost anchors
+ */
+export function mapPerformanceToAngle(performancePercent, curve = DEFAULT_POINTER_CURVE) {
+  const { anchors, mode, clamp } = curve;
+  const first = anchors[0];
+  const last = anchors[anchors.length - 1];
+  const low = Math.max(first.performance, clamp.min);
+  const high = Math.min(last.performance, clamp.max);
+  const pct = Math.max(low, Math.min(high, performancePercent));
+
+  // Band [anchors[i - 1], anchors[i]] holding pct
+  const found = anchors.findIndex((anchor, i) => i > 0 && pct <= anchor.performance);
+  const i = found > 0 ? found : anchors.length - 1;
+  const from = anchors[i - 1];
+  const to = anchors[i];
+  const width = to.performance - from.performance;
+  const t = width > 0 ? (pct - from.performance) / width : 0;
+
+  if (mode === 'eased') {
+    return from.angle + EASINGS.easeInOutQuad(t) * (to.angle - from.angle);
+  }
+  if (mode === 'monotone') {
+    const tangents = monotoneTangents(anchors);
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * from.angle
+      + (t3 - 2 * t2 + t) * width * tangents[i - 1]
+      + (-2 * t3 + 3 * t2) * to.angle
+      + (t3 - t2) * width * tangents[i];
   }
+  return from.angle + t * (to.angle - from.angle);
+}
+
+/**
+ * Map barrier percentage to angle (same curve as performance)
+ */
+export function mapBarrierToAngle(barrierPercent, curve = DEFAULT_POINTER_CURVE) {
+  return mapPerformanceToAngle(barrierPercent, curve);
+}
+
+/**
+ * Map hurdle percentage (relative-to-strike level, e.g. 100 = strike) to angle
+ * A hurdle of H% sits where performance of H - 100% would point
+ */
+export function mapHurdlePercentToAngle(hurdlePercent, curve = DEFAULT_POINTER_CURVE) {
+  return mapPerformanceToAngle(hurdlePercent - 100, curve);
 }
 
 /**
@@ -223,29 +273,54 @@ export function describeArc(cx, cy, radius, startAngle, endAngle) {
   return `M ${start.x} ${start.y} A ${radius} ${radius} 0 ${largeArcFlag} ${sweepFlag} ${end.x} ${end.y}`;
 }
 
+// Most radial / angular steps tried before an indicator is left where it is
+const MAX_AVOIDANCE_STEPS = 8;
+
 /**
  * Collision avoidance for overlapping indicators
- * Returns adjusted angle and radial offset
+ * existingAngles are indicators already placed: { angle, radialOffset, halfWidth? }.
+ * Two indicators collide when they share a radial offset and are closer than their
+ * half-widths (threshold / 2 each by default). A colliding indicator first moves
+ * radialOffset px off the ring; if that slot is taken too it steps angularJitter
+ * degrees away from the nearest blocker, repeating until clear. Anchored indicators
+ * (marks that must reach 12:00 on their dates) never move sideways and step further
+ * out instead.
+ * Returns { angle, radialOffset }
  */
-export function avoidCollision(angle, existingAngles, radialOffset = 6, angularJitter = 2) {
-  let adjustedAngle = angle;
-  let offset = 0;
-  
-  for (const existing of existingAngles) {
-    const diff = Math.abs(normalizeAngle(angle - existing.angle));
-    
-    if (diff < 5) { // Within 5 degrees, apply avoidance
-      // First try radial offset
-      if (!existing.hasRadialOffset) {
-        offset = radialOffset;
-      } else {
-        // Apply angular jitter
-        adjustedAngle += angularJitter * (angle > existing.angle ? 1 : -1);
-      }
+export function avoidCollision(angle, existingAngles, radialOffset = 6, angularJitter = 2, {
+  threshold = 5,
+  halfWidth = threshold / 2,
+  anchored = false
+} = {}) {
+  const blockers = (a, offset) => existingAngles.filter(existing =>
+    (existing.radialOffset || 0) === offset
+    && Math.abs(normalizeAngle(a - existing.angle)) < halfWidth + (existing.halfWidth ?? threshold / 2));
+
+  const base = blockers(angle, 0);
+  if (base.length === 0 || (radialOffset === 0 && angularJitter === 0)) {
+    return { angle, radialOffset: 0 };
+  }
+
+  if (anchored || angularJitter === 0) {
+    let offset = radialOffset;
+    for (let step = 1; step < MAX_AVOIDANCE_STEPS && blockers(angle, offset).length > 0; step++) {
+      offset += radialOffset;
     }
+    return { angle, radialOffset: offset };
   }
-  
-  return { angle: adjustedAngle, radialOffset: offset };
+  if (radialOffset !== 0 && blockers(angle, radialOffset).length === 0) {
+    return { angle, radialOffset };
+  }
+
+  // Both slots taken: step away from the nearest blocker at the ring's own radius
+  const nearest = base.reduce((best, existing) =>
+    Math.abs(normalizeAngle(angle - existing.angle)) < Math.abs(normalizeAngle(angle - best.angle)) ? existing : best);
+  const direction = normalizeAngle(angle - nearest.angle) >= 0 ? 1 : -1;
+  let adjusted = angle;
+  for (let step = 1; step <= MAX_AVOIDANCE_STEPS && blockers(adjusted, 0).length > 0; step++) {
+    adjusted = angle + direction * angularJitter * step;
+  }
+  return { angle: normalizeAngle(adjusted), radialOffset: 0 };
 }
 
 /**
@@ -297,15 +372,3 @@ export function isSegmentElapsed(segmentIndex, totalSegments, rotationAngle) {
   // This is simplified - in reality need to track full rotations
   return rotationAngle >= segmentLeadingEdge;
 }
-
-/**
- * Format date for display
- */
-export function formatDate(dateStr) {
-  const date = parseDate(dateStr);
-  return date.toLocaleDateString('en-GB', {
-    day: '2-digit',
-    month: 'short',
-    year: 'numeric'
-  });
-}
@@ -0,0 +1,62 @@
+/**
+ * Live clock for Autocalls.uk Dynamic Logo
+ * In live mode the plan's effective date follows the wall clock. The plan day
+ * rolls over at market_close_time_gmt: from one close to the next the effective
+ * instant runs through the closed day, so the rings reach an observation date
+ * (and its arrow crosses 12 o'clock) exactly at that day's close
+ */
+
+import { DEFAULT_CLOSE_TIME } from './prices.js';
+import { toISODate, maturityDate } from './timeline.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Seconds between re-renders of a live logo (the rings turn ~0.1° a day)
+export const LIVE_TICK_SECONDS = 60;
+
+const closeOffsetMs = (closeTime) => {
+  const [hours, minutes] = (closeTime || DEFAULT_CLOSE_TIME).split(':').map(Number);
+  return (hours * 60 + minutes) * MS_PER_MINUTE;
+};
+
+/**
+ * Effective plan instant for a wall-clock time: the close of date D maps to
+ * midnight (UTC) at the start of D, so the plan date is the last closed day
+ */
+export function effectiveInstant(now, closeTime = DEFAULT_CLOSE_TIME) {
+  return new Date(now.getTime() - closeOffsetMs(closeTime));
+}
+
+/**
+ * Instant (GMT) at which a date's close is reached
+ */
+export function closeInstant(date, closeTime = DEFAULT_CLOSE_TIME) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + closeOffsetMs(closeTime));
+}
+
+/**
+ * Plan data as of a wall-clock time (current_date is the last closed day)
+ */
+export function livePlan(data, now = new Date()) {
+  return { ...data, current_date: toISODate(effectiveInstant(now, data.market_close_time_gmt)) };
+}
+
+/**
+ * Observation dates and maturity with the instants they are reached, in order
+ * Returns [{ type: 'observation' | 'maturity', date, index?, hurdle_percent?, at }]
+ */
+export function liveEvents(data) {
+  const closeTime = data.market_close_time_gmt;
+  const events = (data.observations || []).map((obs, index) => ({
+    type: 'observation',
+    date: obs.date,
+    index,
+    hurdle_percent: obs.hurdle_percent,
+    at: closeInstant(obs.date, closeTime)
+  }));
+  const maturity = maturityDate(data);
+  events.push({ type: 'maturity', date: maturity, at: closeInstant(maturity, closeTime) });
+  return events
+    .filter(event => !isNaN(event.at.getTime()))
+    .sort((a, b) => a.at - b.at);
+}
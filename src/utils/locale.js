@@ -0,0 +1,356 @@
+/**
+ * Localisation for Autocalls.uk Dynamic Logo
+ * Locale-aware date, number and percent formatting (Intl) and the message
+ * catalogue for every label the logo draws and its accessible description.
+ * Chosen by the DynamicLogo locale prop, the plan's locale field or the
+ * scripts' --locale flag
+ */
+
+export const DEFAULT_LOCALE = 'en-GB';
+
+/**
+ * Message catalogue
+ * {name} placeholders are filled by translate(); values are formatted by the caller
+ */
+export const MESSAGES = {
+  'en-GB': {
+    called: 'Called: {date}',
+    barrierBreached: 'Barrier breached',
+    barrierBreachedOn: 'Barrier breached: {date}',
+    yearLabel: 'Y{year}',
+    title: '{plan} - Dynamic Logo showing {performance} performance',
+    planAsOf: '{plan} as of {date}.',
+    planWithCounterpartyAsOf: '{plan} ({counterparty}) as of {date}.',
+    factPlan: 'Plan',
+    factPlanYear: 'Plan year',
+    planYearValue: '{number} of {total} ({start} to {end})',
+    planYearSentence: 'Plan year {number} of {total}, running {start} to {end}.',
+    notStartedValue: 'Not started (starts {date})',
+    notStartedSentence: 'The plan starts on {date}.',
+    maturedValue: 'Matured on {date}',
+    maturedSentence: 'The plan matured on {date}.',
+    factPerformance: 'Performance',
+    performanceValue: '{performance} (level {level}, initial strike {strike})',
+    performanceSentence: 'The index is at {level}, {performance} against the initial strike of {strike}.',
+    factCalled: 'Called',
+    yes: 'Yes',
+    no: 'No',
+    calledOnValue: 'Yes, on {date}',
+    calledSentence: 'The plan was called.',
+    calledOnSentence: 'The plan was called on {date}.',
+    notCalledSentence: 'The plan has not been called.',
+    factNextObservation: 'Next observation',
+    nextObservationValue: '{date}, hurdle {hurdle} ({distance})',
+    nextObservationSentence: 'The next observation is on {date} with a {hurdle} hurdle; the index is {distance}.',
+    aboveHurdle: '{points} above the hurdle',
+    belowHurdle: '{points} below the hurdle',
+    noneRemaining: 'None remaining',
+    noneRemainingSentence: 'No observations remain.',
+    points: '{value} points',
+    factBarrier: 'Barrier',
+    barrierBreachedValue: '{barrier} (level {level}), breached',
+    barrierBreachedOnValue: '{barrier} (level {level}), breached on {date}',
+    barrierBreachedSentence: 'The {barrier} barrier (level {level}) was breached.',
+    barrierBreachedOnSentence: 'The {barrier} barrier (level {level}) was breached on {date}.',
+    barrierBelowValue: '{barrier} (level {level}), {points} below the index',
+    barrierBelowSentence: 'The {barrier} barrier (level {level}) is {points} below the index.',
+    barrierAboveValue: '{barrier} (level {level}), {points} above the index',
+    barrierAboveSentence: 'The {barrier} barrier (level {level}) is {points} above the index.',
+    factStatus: 'Status',
+    statusValue: '{state} ({reason})',
+    statusSentence: 'Status {state}: {reason}.',
+    stateGreen: 'Green',
+    stateAmber: 'Amber',
+    stateRed: 'Red',
+    ruleSupplied: 'set on the plan',
+    ruleCalled: 'the plan has been called',
+    ruleBarrierBreached: 'the barrier has been breached',
+    ruleNearBarrier: 'the index is close to the barrier',
+    ruleBelowHurdle: 'the index is below the next hurdle',
+    ruleAtOrAboveHurdle: 'the index is at or above the next hurdle'
+  },
+
+  'de-DE': {
+    called: 'Gekündigt: {date}',
+    barrierBreached: 'Barriere verletzt',
+    barrierBreachedOn: 'Barriere verletzt: {date}',
+    yearLabel: 'J{year}',
+    title: '{plan} - Dynamisches Logo mit einer Wertentwicklung von {performance}',
+    planAsOf: '{plan}, Stand {date}.',
+    planWithCounterpartyAsOf: '{plan} ({counterparty}), Stand {date}.',
+    factPlan: 'Produkt',
+    factPlanYear: 'Laufzeitjahr',
+    planYearValue: '{number} von {total} ({start} bis {end})',
+    planYearSentence: 'Laufzeitjahr {number} von {total}, vom {start} bis {end}.',
+    notStartedValue: 'Noch nicht begonnen (Start am {date})',
+    notStartedSentence: 'Das Produkt beginnt am {date}.',
+    maturedValue: 'Fällig am {date}',
+    maturedSentence: 'Das Produkt ist am {date} fällig geworden.',
+    factPerformance: 'Wertentwicklung',
+    performanceValue: '{performance} (Stand {level}, Anfangsniveau {strike})',
+    performanceSentence: 'Der Index steht bei {level}, {performance} gegenüber dem Anfangsniveau von {strike}.',
+    factCalled: 'Gekündigt',
+    yes: 'Ja',
+    no: 'Nein',
+    calledOnValue: 'Ja, am {date}',
+    calledSentence: 'Das Produkt wurde gekündigt.',
+    calledOnSentence: 'Das Produkt wurde am {date} gekündigt.',
+    notCalledSentence: 'Das Produkt wurde nicht gekündigt.',
+    factNextObservation: 'Nächster Beobachtungstag',
+    nextObservationValue: '{date}, Schwelle {hurdle} ({distance})',
+    nextObservationSentence: 'Der nächste Beobachtungstag ist der {date} mit einer Schwelle von {hurdle}; der Index liegt {distance}.',
+    aboveHurdle: '{points} über der Schwelle',
+    belowHurdle: '{points} unter der Schwelle',
+    noneRemaining: 'Keiner mehr',
+    noneRemainingSentence: 'Es stehen keine Beobachtungstage mehr aus.',
+    points: '{value} Punkte',
+    factBarrier: 'Barriere',
+    barrierBreachedValue: '{barrier} (Stand {level}), verletzt',
+    barrierBreachedOnValue: '{barrier} (Stand {level}), verletzt am {date}',
+    barrierBreachedSentence: 'Die Barriere von {barrier} (Stand {level}) wurde verletzt.',
+    barrierBreachedOnSentence: 'Die Barriere von {barrier} (Stand {level}) wurde am {date} verletzt.',
+    barrierBelowValue: '{barrier} (Stand {level}), {points} unter dem Index',
+    barrierBelowSentence: 'Die Barriere von {barrier} (Stand {level}) liegt {points} unter dem Index.',
+    barrierAboveValue: '{barrier} (Stand {level}), {points} über dem Index',
+    barrierAboveSentence: 'Die Barriere von {barrier} (Stand {level}) liegt {points} über dem Index.',
+    factStatus: 'Status',
+    statusValue: '{state} ({reason})',
+    statusSentence: 'Status {state}: {reason}.',
+    stateGreen: 'Grün',
+    stateAmber: 'Gelb',
+    stateRed: 'Rot',
+    ruleSupplied: 'im Produkt festgelegt',
+    ruleCalled: 'das Produkt wurde gekündigt',
+    ruleBarrierBreached: 'die Barriere wurde verletzt',
+    ruleNearBarrier: 'der Index liegt nahe der Barriere',
+    ruleBelowHurdle: 'der Index liegt unter der nächsten Schwelle',
+    ruleAtOrAboveHurdle: 'der Index liegt auf oder über der nächsten Schwelle'
+  },
+
+  'fr-FR': {
+    called: 'Remboursé : {date}',
+    barrierBreached: 'Barrière franchie',
+    barrierBreachedOn: 'Barrière franchie : {date}',
+    yearLabel: 'A{year}',
+    title: '{plan} - Logo dynamique affichant une performance de {performance}',
+    planAsOf: '{plan} au {date}.',
+    planWithCounterpartyAsOf: '{plan} ({counterparty}) au {date}.',
+    factPlan: 'Produit',
+    factPlanYear: 'Année du produit',
+    planYearValue: '{number} sur {total} (du {start} au {end})',
+    planYearSentence: 'Année {number} sur {total}, du {start} au {end}.',
+    notStartedValue: 'Pas encore commencé (début le {date})',
+    notStartedSentence: 'Le produit commence le {date}.',
+    maturedValue: 'Échu le {date}',
+    maturedSentence: 'Le produit est arrivé à échéance le {date}.',
+    factPerformance: 'Performance',
+    performanceValue: '{performance} (niveau {level}, niveau initial {strike})',
+    performanceSentence: 'L’indice est à {level}, soit {performance} par rapport au niveau initial de {strike}.',
+    factCalled: 'Remboursé par anticipation',
+    yes: 'Oui',
+    no: 'Non',
+    calledOnValue: 'Oui, le {date}',
+    calledSentence: 'Le produit a été remboursé par anticipation.',
+    calledOnSentence: 'Le produit a été remboursé par anticipation le {date}.',
+    notCalledSentence: 'Le produit n’a pas été remboursé par anticipation.',
+    factNextObservation: 'Prochaine observation',
+    nextObservationValue: '{date}, seuil {hurdle} ({distance})',
+    nextObservationSentence: 'La prochaine observation a lieu le {date} avec un seuil de {hurdle} ; l’indice est {distance}.',
+    aboveHurdle: '{points} au-dessus du seuil',
+    belowHurdle: '{points} sous le seuil',
+    noneRemaining: 'Aucune',
+    noneRemainingSentence: 'Il ne reste aucune observation.',
+    points: '{value} points',
+    factBarrier: 'Barrière',
+    barrierBreachedValue: '{barrier} (niveau {level}), franchie',
+    barrierBreachedOnValue: '{barrier} (niveau {level}), franchie le {date}',
+    barrierBreachedSentence: 'La barrière de {barrier} (niveau {level}) a été franchie.',
+    barrierBreachedOnSentence: 'La barrière de {barrier} (niveau {level}) a été franchie le {date}.',
+    barrierBelowValue: '{barrier} (niveau {level}), {points} sous l’indice',
+    barrierBelowSentence: 'La barrière de {barrier} (niveau {level}) se situe {points} sous l’indice.',
+    barrierAboveValue: '{barrier} (niveau {level}), {points} au-dessus de l’indice',
+    barrierAboveSentence: 'La barrière de {barrier} (niveau {level}) se situe {points} au-dessus de l’indice.',
+    factStatus: 'Statut',
+    statusValue: '{state} ({reason})',
+    statusSentence: 'Statut {state} : {reason}.',
+    stateGreen: 'Vert',
+    stateAmber: 'Orange',
+    stateRed: 'Rouge',
+    ruleSupplied: 'défini sur le produit',
+    ruleCalled: 'le produit a été remboursé par anticipation',
+    ruleBarrierBreached: 'la barrière a été franchie',
+    ruleNearBarrier: 'l’indice est proche de la barrière',
+    ruleBelowHurdle: 'l’indice est sous le prochain seuil',
+    ruleAtOrAboveHurdle: 'l’indice est au niveau ou au-dessus du prochain seuil'
+  },
+
+  'it-IT': {
+    called: 'Rimborsato: {date}',
+    barrierBreached: 'Barriera violata',
+    barrierBreachedOn: 'Barriera violata: {date}',
+    yearLabel: 'A{year}',
+    title: '{plan} - Logo dinamico con una performance di {performance}',
+    planAsOf: '{plan} al {date}.',
+    planWithCounterpartyAsOf: '{plan} ({counterparty}) al {date}.',
+    factPlan: 'Prodotto',
+    factPlanYear: 'Anno del prodotto',
+    planYearValue: '{number} di {total} (dal {start} al {end})',
+    planYearSentence: 'Anno {number} di {total}, dal {start} al {end}.',
+    notStartedValue: 'Non ancora iniziato (inizio il {date})',
+    notStartedSentence: 'Il prodotto inizia il {date}.',
+    maturedValue: 'Scaduto il {date}',
+    maturedSentence: 'Il prodotto è scaduto il {date}.',
+    factPerformance: 'Performance',
+    performanceValue: '{performance} (livello {level}, livello iniziale {strike})',
+    performanceSentence: 'L’indice è a {level}, {performance} rispetto al livello iniziale di {strike}.',
+    factCalled: 'Rimborso anticipato',
+    yes: 'Sì',
+    no: 'No',
+    calledOnValue: 'Sì, il {date}',
+    calledSentence: 'Il prodotto è stato rimborsato anticipatamente.',
+    calledOnSentence: 'Il prodotto è stato rimborsato anticipatamente il {date}.',
+    notCalledSentence: 'Il prodotto non è stato rimborsato anticipatamente.',
+    factNextObservation: 'Prossima osservazione',
+    nextObservationValue: '{date}, soglia {hurdle} ({distance})',
+    nextObservationSentence: 'La prossima osservazione è il {date} con una soglia del {hurdle}; l’indice è {distance}.',
+    aboveHurdle: '{points} sopra la soglia',
+    belowHurdle: '{points} sotto la soglia',
+    noneRemaining: 'Nessuna',
+    noneRemainingSentence: 'Non restano osservazioni.',
+    points: '{value} punti',
+    factBarrier: 'Barriera',
+    barrierBreachedValue: '{barrier} (livello {level}), violata',
+    barrierBreachedOnValue: '{barrier} (livello {level}), violata il {date}',
+    barrierBreachedSentence: 'La barriera del {barrier} (livello {level}) è stata violata.',
+    barrierBreachedOnSentence: 'La barriera del {barrier} (livello {level}) è stata violata il {date}.',
+    barrierBelowValue: '{barrier} (livello {level}), {points} sotto l’indice',
+    barrierBelowSentence: 'La barriera del {barrier} (livello {level}) è {points} sotto l’indice.',
+    barrierAboveValue: '{barrier} (livello {level}), {points} sopra l’indice',
+    barrierAboveSentence: 'La barriera del {barrier} (livello {level}) è {points} sopra l’indice.',
+    factStatus: 'Stato',
+    statusValue: '{state} ({reason})',
+    statusSentence: 'Stato {state}: {reason}.',
+    stateGreen: 'Verde',
+    stateAmber: 'Ambra',
+    stateRed: 'Rosso',
+    ruleSupplied: 'impostato sul prodotto',
+    ruleCalled: 'il prodotto è stato rimborsato anticipatamente',
+    ruleBarrierBreached: 'la barriera è stata violata',
+    ruleNearBarrier: 'l’indice è vicino alla barriera',
+    ruleBelowHurdle: 'l’indice è sotto la prossima soglia',
+    ruleAtOrAboveHurdle: 'l’indice è pari o superiore alla prossima soglia'
+  },
+
+  'es-ES': {
+    called: 'Amortizado: {date}',
+    barrierBreached: 'Barrera superada',
+    barrierBreachedOn: 'Barrera superada: {date}',
+    yearLabel: 'A{year}',
+    title: '{plan} - Logotipo dinámico con una rentabilidad de {performance}',
+    planAsOf: '{plan} a {date}.',
+    planWithCounterpartyAsOf: '{plan} ({counterparty}) a {date}.',
+    factPlan: 'Producto',
+    factPlanYear: 'Año del producto',
+    planYearValue: '{number} de {total} (del {start} al {end})',
+    planYearSentence: 'Año {number} de {total}, del {start} al {end}.',
+    notStartedValue: 'No iniciado (empieza el {date})',
+    notStartedSentence: 'El producto empieza el {date}.',
+    maturedValue: 'Vencido el {date}',
+    maturedSentence: 'El producto venció el {date}.',
+    factPerformance: 'Rentabilidad',
+    performanceValue: '{performance} (nivel {level}, nivel inicial {strike})',
+    performanceSentence: 'El índice está en {level}, {performance} respecto al nivel inicial de {strike}.',
+    factCalled: 'Amortización anticipada',
+    yes: 'Sí',
+    no: 'No',
+    calledOnValue: 'Sí, el {date}',
+    calledSentence: 'El producto se amortizó anticipadamente.',
+    calledOnSentence: 'El producto se amortizó anticipadamente el {date}.',
+    notCalledSentence: 'El producto no se ha amortizado anticipadamente.',
+    factNextObservation: 'Próxima observación',
+    nextObservationValue: '{date}, umbral {hurdle} ({distance})',
+    nextObservationSentence: 'La próxima observación es el {date} con un umbral del {hurdle}; el índice está {distance}.',
+    aboveHurdle: '{points} por encima del umbral',
+    belowHurdle: '{points} por debajo del umbral',
+    noneRemaining: 'Ninguna',
+    noneRemainingSentence: 'No quedan observaciones.',
+    points: '{value} puntos',
+    factBarrier: 'Barrera',
+    barrierBreachedValue: '{barrier} (nivel {level}), superada',
+    barrierBreachedOnValue: '{barrier} (nivel {level}), superada el {date}',
+    barrierBreachedSentence: 'La barrera del {barrier} (nivel {level}) se ha superado.',
+    barrierBreachedOnSentence: 'La barrera del {barrier} (nivel {level}) se superó el {date}.',
+    barrierBelowValue: '{barrier} (nivel {level}), {points} por debajo del índice',
+    barrierBelowSentence: 'La barrera del {barrier} (nivel {level}) está {points} por debajo del índice.',
+    barrierAboveValue: '{barrier} (nivel {level}), {points} por encima del índice',
+    barrierAboveSentence: 'La barrera del {barrier} (nivel {level}) está {points} por encima del índice.',
+    factStatus: 'Estado',
+    statusValue: '{state} ({reason})',
+    statusSentence: 'Estado {state}: {reason}.',
+    stateGreen: 'Verde',
+    stateAmber: 'Ámbar',
+    stateRed: 'Rojo',
+    ruleSupplied: 'fijado en el producto',
+    ruleCalled: 'el producto se ha amortizado anticipadamente',
+    ruleBarrierBreached: 'se ha superado la barrera',
+    ruleNearBarrier: 'el índice está cerca de la barrera',
+    ruleBelowHurdle: 'el índice está por debajo del próximo umbral',
+    ruleAtOrAboveHurdle: 'el índice está en el próximo umbral o por encima'
+  }
+};
+
+export const LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Locale by tag; unknown or missing tags fall back to the default locale
+ */
+export function resolveLocale(tag) {
+  return MESSAGES[tag] ? tag : DEFAULT_LOCALE;
+}
+
+/**
+ * Message for a key with its {placeholders} filled; falls back to the default
+ * locale's message, then to the key itself
+ */
+export function translate(locale, key, params = {}) {
+  const message = MESSAGES[resolveLocale(locale)][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Format a YYYY-MM-DD date (e.g. "2 Jan 2026", "2. Jan. 2026")
+ * Dates are calendar days, so they are formatted in UTC
+ */
+export function formatDate(dateStr, locale = DEFAULT_LOCALE) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  if (isNaN(date.getTime())) return String(dateStr);
+  return new Intl.DateTimeFormat(resolveLocale(locale), {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  }).format(date);
+}
+
+/**
+ * Format a number; digits fixes the decimal places, otherwise up to two are shown
+ */
+export function formatNumber(value, locale = DEFAULT_LOCALE, { digits } = {}) {
+  return new Intl.NumberFormat(resolveLocale(locale), digits === undefined
+    ? { maximumFractionDigits: 2 }
+    : { minimumFractionDigits: digits, maximumFractionDigits: digits }
+  ).format(value);
+}
+
+/**
+ * Format a value given in percent (12.5 → "12.5%", "12,5 %"); signed adds a + to gains
+ */
+export function formatPercent(value, locale = DEFAULT_LOCALE, { digits, signed = false } = {}) {
+  return new Intl.NumberFormat(resolveLocale(locale), {
+    style: 'percent',
+    ...(digits === undefined
+      ? { maximumFractionDigits: 2 }
+      : { minimumFractionDigits: digits, maximumFractionDigits: digits }),
+    signDisplay: signed ? 'exceptZero' : 'auto'
+  }).format(value / 100);
+}
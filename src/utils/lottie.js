@@ -0,0 +1,504 @@
+/**
+ * Lottie export for Autocalls.uk Dynamic Logo
+ * Converts the logo's layers into a Bodymovin/Lottie document so native apps can
+ * play it without a WebView. The scene model is sampled once per frame and every
+ * moving part becomes a keyframed transform:
+ *   - outer ring bars and trigger arrows turn as one rigid ring; a wedge matte from
+ *     12:00 to the ring's rotation swaps green bars and sky-blue arrows for grey
+ *   - the blue ring carries the slow ten-year rotation GSAP applies in the browser
+ *   - the "A" rotates with performance, the bottom arrow is parented to it and
+ *     counter-rotates to its world target, the next-observation arrow steps between hurdles
+ */
+
+import { buildScene, LOGO_LAYOUT, polarToCart } from './scene.js';
+import { planAtDate } from './timeline.js';
+import { parseColor } from './color.js';
+import { parsePathToCubics } from './svgPath.js';
+import {
+  GLYPH_ORIGIN,
+  BOTTOM_ARROW_AXIS,
+  POINTER_A_PATH,
+  POINTER_A_CUTOUT_PATH,
+  BOTTOM_ARROW_PATH,
+  WORDMARK_PATHS
+} from './glyphs.js';
+
+// Bodymovin schema version the document targets
+export const LOTTIE_VERSION = '5.7.4';
+
+// Arc segments in the elapsed-wedge matte (kept fixed so the shape can be keyframed)
+const WEDGE_SEGMENTS = 12;
+
+// Fonts referenced by the centre text layers; ascent is Inter's cap height as % of em
+const FONTS = [
+  { fName: 'Inter-Regular', fFamily: 'Inter', fStyle: 'Regular', ascent: 72.7 },
+  { fName: 'Inter-Bold', fFamily: 'Inter', fStyle: 'Bold', ascent: 72.7 }
+];
+
+// Round coordinates to keep the JSON compact
+const round = (n) => Math.round(n * 1000) / 1000;
+const samePoint = (a, b) => Math.abs(a[0] - b[0]) < 1e-6 && Math.abs(a[1] - b[1]) < 1e-6;
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Colour string → Lottie [r, g, b, a] in 0-1 (unparseable colours become black)
+ */
+function lottieColor(value) {
+  const color = parseColor(value) || { r: 0, g: 0, b: 0, a: 1 };
+  return [round(color.r / 255), round(color.g / 255), round(color.b / 255), color.a];
+}
+
+const staticValue = (k) => ({ a: 0, k });
+
+/**
+ * Keyframed property from one value per frame
+ * Runs of equal values are collapsed; constant values become a static property.
+ * hold = true steps between values instead of interpolating linearly
+ */
+function animatedValue(values, { hold = false } = {}) {
+  const wrap = (v) => (Array.isArray(v) ? v : [v]);
+  if (values.every(v => sameValue(v, values[0]))) {
+    return staticValue(values[0]);
+  }
+
+  const last = values.length - 1;
+  const k = [];
+  values.forEach((v, t) => {
+    const edge = t === 0 || t === last;
+    if (!edge && sameValue(v, values[t - 1]) && sameValue(v, values[t + 1])) return;
+    const keyframe = { t, s: wrap(v) };
+    if (t < last) {
+      Object.assign(keyframe, hold ? { h: 1 } : { i: { x: [1], y: [1] }, o: { x: [0], y: [0] } });
+    }
+    k.push(keyframe);
+  });
+  return { a: 1, k };
+}
+
+/**
+ * Cubic subpath (from parsePathToCubics) → Lottie bezier { i, o, v, c }
+ * map transforms artwork coordinates into the 512 layout
+ */
+function subpathToBezier({ start, segments, closed }, map) {
+  const v = [map(start)];
+  const i = [[0, 0]];
+  const o = [];
+
+  segments.forEach(([c1x, c1y, c2x, c2y, x, y]) => {
+    const prev = v[v.length - 1];
+    const c1 = map([c1x, c1y]);
+    const c2 = map([c2x, c2y]);
+    const end = map([x, y]);
+    o.push([c1[0] - prev[0], c1[1] - prev[1]]);
+    v.push(end);
+    i.push([c2[0] - end[0], c2[1] - end[1]]);
+  });
+  o.push([0, 0]);
+
+  // The closing vertex duplicates the first; fold its in-tangent into vertex 0
+  if (closed && v.length > 1 && samePoint(v[0], v[v.length - 1])) {
+    v.pop();
+    o.pop();
+    i[0] = i.pop();
+  }
+
+  const r = (points) => points.map(([x, y]) => [round(x), round(y)]);
+  return { i: r(i), o: r(o), v: r(v), c: closed };
+}
+
+/**
+ * SVG path data → Lottie path shapes
+ */
+function pathShapes(d, map = (p) => p) {
+  return parsePathToCubics(d).map(subpath => ({ ty: 'sh', ks: staticValue(subpathToBezier(subpath, map)) }));
+}
+
+/**
+ * Closed straight-edged polygon → Lottie bezier
+ */
+function polygonBezier(points) {
+  return {
+    i: points.map(() => [0, 0]),
+    o: points.map(() => [0, 0]),
+    v: points.map(([x, y]) => [round(x), round(y)]),
+    c: true
+  };
+}
+
+// Parse an SVG points attribute ("x,y x,y ...") into [[x, y], ...]
+const parsePoints = (points) => points.trim().split(/\s+/).map(pair => pair.split(',').map(Number));
+
+const polygonShape = (points) => ({ ty: 'sh', ks: staticValue(polygonBezier(points)) });
+
+// Polygon that steps between per-frame SVG points strings
+const heldPolygon = (pointsPerFrame) => ({
+  ty: 'sh',
+  ks: animatedValue(pointsPerFrame.map(points => polygonBezier(parsePoints(points))), { hold: true })
+});
+
+const fill = (color, opacity = 100, evenOdd = false) => ({
+  ty: 'fl',
+  c: staticValue(lottieColor(color)),
+  o: staticValue(opacity),
+  r: evenOdd ? 2 : 1
+});
+
+const stroke = (color, width) => ({
+  ty: 'st',
+  c: staticValue(lottieColor(color)),
+  o: staticValue(100),
+  w: staticValue(width),
+  lc: 2,
+  lj: 2
+});
+
+const groupTransform = () => ({
+  ty: 'tr',
+  p: staticValue([0, 0]),
+  a: staticValue([0, 0]),
+  s: staticValue([100, 100]),
+  r: staticValue(0),
+  o: staticValue(100),
+  sk: staticValue(0),
+  sa: staticValue(0)
+});
+
+/**
+ * Shape group; styles are listed stroke-first so strokes paint over fills
+ */
+const group = (nm, shapes, styles) => ({ ty: 'gr', nm, it: [...shapes, ...styles, groupTransform()] });
+
+/**
+ * Layer shell shared by shape and text layers
+ * Anchor and position default to the logo centre so rotations turn about it
+ */
+function layer(ty, nm, frameCount, {
+  rotation = staticValue(0),
+  opacity = staticValue(100),
+  anchor = [LOGO_LAYOUT.center, LOGO_LAYOUT.center],
+  position = [LOGO_LAYOUT.center, LOGO_LAYOUT.center],
+  ...extra
+} = {}) {
+  return {
+    ddd: 0,
+    ty,
+    nm,
+    sr: 1,
+    ks: {
+      o: opacity,
+      r: rotation,
+      p: staticValue([...position, 0]),
+      a: staticValue([...anchor, 0]),
+      s: staticValue([100, 100, 100])
+    },
+    ao: 0,
+    ip: 0,
+    op: frameCount,
+    st: 0,
+    bm: 0,
+    ...extra
+  };
+}
+
+/**
+ * Shape layer; groups are given in SVG paint order (bottom first)
+ */
+const shapeLayer = (nm, frameCount, groups, options) =>
+  layer(4, nm, frameCount, { ...options, shapes: [...groups].reverse() });
+
+/**
+ * Text layer with one (held) text document per frame
+ */
+function textLayer(nm, frameCount, docs, position) {
+  const k = [];
+  docs.forEach((doc, t) => {
+    if (t === 0 || !sameValue(doc, docs[t - 1])) k.push({ s: doc, t });
+  });
+  return layer(5, nm, frameCount, {
+    anchor: [0, 0],
+    position,
+    t: { d: { k }, p: {}, m: { g: 1, a: staticValue([0, 0]) }, a: [] }
+  });
+}
+
+const textDoc = (text, size, bold, color) => ({
+  s: size,
+  f: bold ? 'Inter-Bold' : 'Inter-Regular',
+  t: text,
+  j: 2,
+  tr: 0,
+  lh: round(size * 1.2),
+  ls: 0,
+  fc: lottieColor(color).slice(0, 3)
+});
+
+/**
+ * Pie wedge from 12:00 clockwise to `angle` (world coordinates), used as the
+ * elapsed matte. Arcs use cubic tangents so the edge stays round at any angle
+ */
+function wedgeBezier(angle, radius) {
+  const sweep = Math.max(0, Math.min(360, angle));
+  const step = sweep / WEDGE_SEGMENTS;
+  const handle = (4 / 3) * Math.tan((step * Math.PI) / 720) * radius;
+  const { center } = LOGO_LAYOUT;
+
+  const v = [[center, center]];
+  const i = [[0, 0]];
+  const o = [[0, 0]];
+  for (let s = 0; s <= WEDGE_SEGMENTS; s++) {
+    const a = s * step;
+    const rad = (a * Math.PI) / 180;
+    const { x, y } = polarToCart(a, radius);
+    // Clockwise tangent at angle a
+    const tx = Math.cos(rad) * handle;
+    const ty = Math.sin(rad) * handle;
+    v.push([round(x), round(y)]);
+    i.push(s === 0 ? [0, 0] : [round(-tx), round(-ty)]);
+    o.push(s === WEDGE_SEGMENTS ? [0, 0] : [round(tx), round(ty)]);
+  }
+  return { i, o, v, c: true };
+}
+
+/**
+ * Outer ring layers: elapsed (grey) over remaining (green), each behind a wedge matte,
+ * plus the final observation arrow. Geometry is the ring as it stood on start_date
+ * (plan year 1 ending at 12:00); the layers rotate by the ring's rotation each frame
+ */
+function outerRingLayers(data, scenes, frameCount) {
+  const ringScene = buildScene(planAtDate(data, data.start_date));
+  if (!ringScene.outerRing.valid || scenes.some(scene => !scene.outerRing.valid)) return [];
+
+  const { colors } = ringScene;
+  const { segments, triggerArrows } = ringScene.outerRing;
+  const rotation = animatedValue(scenes.map(scene => round(scene.outerRing.stats.ringRotation)));
+  const wedge = animatedValue(scenes.map(scene => wedgeBezier(scene.outerRing.stats.ringRotation, LOGO_LAYOUT.rOuter + 20)));
+
+  const bars = (nm, color, opacity) => group(nm, segments.flatMap(segment => pathShapes(segment.d)), [fill(color, opacity)]);
+  const arrows = (nm, color) => triggerArrows
+    .filter(arrow => !arrow.isFinal)
+    .map(arrow => group(`${nm} ${arrow.index + 1}`, [polygonShape(parsePoints(arrow.points))], [
+      stroke(arrow.stroke, arrow.strokeWidth),
+      fill(color || arrow.fill)
+    ]));
+  const matte = (nm) => shapeLayer(nm, frameCount, [group('wedge', [{ ty: 'sh', ks: wedge }], [fill(colors.white)])], { td: 1 });
+
+  const layers = [];
+  const finalArrow = triggerArrows.find(arrow => arrow.isFinal);
+  if (finalArrow) {
+    // Gradient runs top to bottom of the arrow's bounding box, as objectBoundingBox does in SVG
+    const points = parsePoints(finalArrow.points);
+    const ys = points.map(([, y]) => y);
+    const xs = points.map(([x]) => x);
+    const midX = round((Math.min(...xs) + Math.max(...xs)) / 2);
+    const gradient = {
+      ty: 'gf',
+      o: staticValue(100),
+      r: 1,
+      t: 1,
+      s: staticValue([midX, round(Math.min(...ys))]),
+      e: staticValue([midX, round(Math.max(...ys))]),
+      g: {
+        p: ringScene.finalObsGradient.stops.length,
+        k: staticValue(ringScene.finalObsGradient.stops.flatMap(stop => [
+          parseFloat(stop.offset) / 100,
+          ...lottieColor(stop.color).slice(0, 3)
+        ]))
+      }
+    };
+    layers.push(shapeLayer('Final observation arrow', frameCount, [
+      group('final observation', [polygonShape(points)], [stroke(finalArrow.stroke, finalArrow.strokeWidth), gradient])
+    ], { rotation }));
+  }
+
+  layers.push(
+    matte('Elapsed matte'),
+    shapeLayer('Outer ring (elapsed)', frameCount, [
+      bars('elapsed bars', colors.greyMid, 60),
+      ...arrows('past observation', colors.greyMid)
+    ], { rotation, tt: 1 }),
+    matte('Remaining matte'),
+    shapeLayer('Outer ring (remaining)', frameCount, [
+      bars('remaining bars', colors.greenPrimary, 100),
+      // On start_date every arrow is still in the future, so its own fill is the future fill
+      ...arrows('future observation')
+    ], { rotation, tt: 2 })
+  );
+  return layers;
+}
+
+/**
+ * Build a Lottie document for a sequence of animation frames
+ * frames: [{ date, level }] as produced by animationFrames(); one Lottie frame each
+ */
+export function buildLottie(data, { frames, fps }) {
+  if (!frames || frames.length === 0) {
+    throw new Error('Lottie export needs at least one frame');
+  }
+
+  const frameCount = frames.length;
+  const scenes = frames.map(({ date, level }) => buildScene({ ...planAtDate(data, date), current_level: level }));
+  const [first] = scenes;
+  const { colors, layout } = first;
+  const { center } = layout;
+
+  // "A" pointer, drawn in layout coordinates and rotated about the centre
+  const pointer = first.pointer;
+  const glyph = ([x, y]) => [
+    center - GLYPH_ORIGIN.x * pointer.scale + x * pointer.scale,
+    center - GLYPH_ORIGIN.y * pointer.scale + y * pointer.scale
+  ];
+  const pointerLayer = shapeLayer('A pointer', frameCount, [
+    group('A', pathShapes(POINTER_A_PATH, glyph), [fill(pointer.fill)]),
+    group('cutout', pathShapes(POINTER_A_CUTOUT_PATH, glyph), [fill(pointer.cutoutFill)]),
+    group('cutout triangle', [polygonShape([
+      [center, center - 130 * pointer.scale],
+      [center - 85 * pointer.scale, center + 67.8 * pointer.scale],
+      [center + 80 * pointer.scale, center + 67.8 * pointer.scale]
+    ])], [fill(pointer.cutoutFill)]),
+    group('dot', [{
+      ty: 'el',
+      p: staticValue([center - 1, round(center + 70 * pointer.scale - 12 * pointer.scale)]),
+      s: staticValue([round(120 * pointer.scale), round(120 * pointer.scale)])
+    }], [
+      stroke(pointer.fill, round(10 * pointer.scale)),
+      { ...fill(pointer.circleFill), c: animatedValue(scenes.map(scene => lottieColor(scene.pointer.circleFill)), { hold: true }) }
+    ])
+  ], { rotation: animatedValue(scenes.map(scene => round(scene.pointer.angle))) });
+
+  // Bottom arrow: parented to the "A", counter-rotating about its own axis
+  const arrow = first.bottomArrow;
+  const arrowPoint = ([x, y]) => [
+    center - GLYPH_ORIGIN.x * arrow.scale + x * arrow.scale,
+    center - GLYPH_ORIGIN.y * arrow.scale + arrow.offsetY + y * arrow.scale
+  ];
+  const arrowAxis = arrowPoint([BOTTOM_ARROW_AXIS.x, BOTTOM_ARROW_AXIS.y]).map(round);
+  const bottomArrowLayer = shapeLayer('Bottom arrow', frameCount, [
+    group('arrow', pathShapes(BOTTOM_ARROW_PATH, arrowPoint), [fill(arrow.color)])
+  ], {
+    rotation: animatedValue(scenes.map(scene => round(scene.bottomArrow.localRotation))),
+    anchor: arrowAxis,
+    position: arrowAxis
+  });
+
+  // Level arrows: the next-observation arrow steps to each new hurdle (and collision
+  // offset) and hides after the last; the final level arrow paints over it (listed first)
+  const finalLevel = first.levelArrows.final;
+  const levelLayers = [shapeLayer('Final level arrow', frameCount, [
+    group('final', [heldPolygon(scenes.map(scene => scene.levelArrows.final.points))], [stroke(finalLevel.stroke, finalLevel.strokeWidth), fill(finalLevel.fill)])
+  ])];
+  const nextRef = scenes.find(scene => scene.levelArrows.next)?.levelArrows.next;
+  if (nextRef) {
+    levelLayers.push(shapeLayer('Next observation arrow', frameCount, [
+      group('next', [heldPolygon(scenes.map(scene => (scene.levelArrows.next ?? nextRef).points))], [stroke(nextRef.stroke, nextRef.strokeWidth), fill(nextRef.fill)])
+    ], {
+      opacity: animatedValue(scenes.map(scene => (scene.levelArrows.next ? 100 : 0)), { hold: true })
+    }));
+  }
+
+  // Radial marks: rects rotated about their own centres
+  const radialMarksLayer = shapeLayer('Radial marks', frameCount, first.radialMarks.map((mark, i) => {
+    const cx = mark.x + mark.width / 2;
+    const cy = mark.y + mark.height / 2;
+    const rad = (mark.angle * Math.PI) / 180;
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+      const dx = (sx * mark.width) / 2;
+      const dy = (sy * mark.height) / 2;
+      return [cx + dx * Math.cos(rad) - dy * Math.sin(rad), cy + dx * Math.sin(rad) + dy * Math.cos(rad)];
+    });
+    return group(`mark ${i + 1}`, [polygonShape(corners)], [fill(mark.fill)]);
+  }));
+
+  const blueRingLayer = shapeLayer('Blue ring', frameCount, [
+    group('ring', [{
+      ty: 'el',
+      p: staticValue([center, center]),
+      s: staticValue([first.blueRing.radius * 2, first.blueRing.radius * 2])
+    }], [stroke(first.blueRing.stroke, first.blueRing.strokeWidth)])
+  ], { rotation: animatedValue(scenes.map(scene => round(scene.rotationAngle))) });
+
+  // Barrier: one layer per state (amber while intact, red from the first breach),
+  // shown with held opacity
+  const barrierLayers = [false, true].flatMap(breached => {
+    const ref = scenes.find(scene => scene.barrier.breached === breached)?.barrier;
+    if (!ref) return [];
+    return [shapeLayer(breached ? 'Barrier breached' : 'Barrier', frameCount, [
+      group('barrier', [heldPolygon(scenes.map(scene => (scene.barrier.breached === breached ? scene.barrier : ref).points))], [fill(ref.fill)])
+    ], {
+      opacity: animatedValue(scenes.map(scene => (scene.barrier.breached === breached ? 100 : 0)), { hold: true })
+    })];
+  });
+
+  const textLayers = [
+    textLayer('Counterparty', frameCount,
+      scenes.map(scene => textDoc(scene.centreInfo.counterparty || '', scene.centreInfo.counterpartySize, false, colors.navy)), [center, center + 115]),
+    textLayer('Performance', frameCount,
+      scenes.map(scene => textDoc(scene.centreInfo.performanceLabel, scene.centreInfo.performanceSize, true, scene.centreInfo.performanceFill)), [center, center + 133])
+  ];
+  if (scenes.some(scene => scene.centreInfo.calledLabel)) {
+    textLayers.push(textLayer('Called', frameCount,
+      scenes.map(scene => textDoc(scene.centreInfo.calledLabel || '', scene.centreInfo.calledSize, true, scene.centreInfo.calledFill)), [center, center + 150]));
+  }
+  const breachRef = scenes.find(scene => scene.centreInfo.breachLabel);
+  if (breachRef) {
+    textLayers.push(
+      textLayer('Breach', frameCount,
+        scenes.map(scene => textDoc(scene.centreInfo.breachLabel || '', scene.centreInfo.breachSize, true, colors.white)), [center, center + 96]),
+      shapeLayer('Breach badge', frameCount, [
+        group('badge', [{
+          ty: 'rc',
+          p: staticValue([center, center + 93]),
+          s: staticValue([breachRef.centreInfo.breachWidth, 18]),
+          r: staticValue(9)
+        }], [fill(breachRef.centreInfo.breachFill)])
+      ], {
+        opacity: animatedValue(scenes.map(scene => (scene.centreInfo.breachLabel ? 100 : 0)), { hold: true })
+      })
+    );
+  }
+
+  const { x: wordmarkX, y: wordmarkY, scale: wordmarkScale, colors: tones } = first.wordmark;
+  const wordmarkPoint = ([x, y]) => [wordmarkX + x * wordmarkScale, wordmarkY + y * wordmarkScale];
+  const wordmarkLayer = shapeLayer('Wordmark', frameCount, WORDMARK_PATHS.map((path, i) =>
+    group(`wordmark ${i + 1}`, pathShapes(path.d, wordmarkPoint), [fill(tones[path.tone], 100, path.evenOdd)])
+  ));
+
+  const { width, height } = first.background;
+  const backgroundLayer = shapeLayer('Background', frameCount, [
+    group('background', [polygonShape([[0, 0], [width, 0], [width, height], [0, height]])], [fill(first.background.fill)])
+  ]);
+
+  // Lottie lists layers top first; each matte sits directly above the layer it masks
+  const layers = [
+    wordmarkLayer,
+    ...textLayers,
+    bottomArrowLayer,
+    pointerLayer,
+    ...barrierLayers,
+    ...levelLayers,
+    blueRingLayer,
+    radialMarksLayer,
+    ...outerRingLayers(data, scenes, frameCount),
+    backgroundLayer
+  ].map((entry, index) => ({ ...entry, ind: index + 1 }));
+
+  const pointerIndex = layers.find(entry => entry.nm === 'A pointer').ind;
+  layers.find(entry => entry.nm === 'Bottom arrow').parent = pointerIndex;
+
+  return {
+    v: LOTTIE_VERSION,
+    fr: fps,
+    ip: 0,
+    op: frameCount,
+    w: layout.viewBoxWidth,
+    h: layout.viewBoxHeight,
+    nm: data.plan_name || 'Autocalls.uk Dynamic Logo',
+    ddd: 0,
+    assets: [],
+    fonts: { list: FONTS },
+    layers,
+    // Observation dates as markers, so apps can react when one is reached
+    markers: (data.observations || [])
+      .filter(obs => obs.date >= frames[0].date && obs.date <= frames[frameCount - 1].date)
+      .map(obs => ({ tm: frames.findIndex(frame => frame.date >= obs.date), cm: obs.date, dr: 0 }))
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Embedded motion for standalone SVGs of the Autocalls.uk Dynamic Logo
+ * Email clients, CMS pages and partner sites can't run React or GSAP, so the
+ * blue ring rotation and the pointer sweep are written as inline CSS keyframes.
+ * Every animation ends on the rendered pose (no base transform is overridden),
+ * so viewers without animation support and prefers-reduced-motion show the
+ * final logo
+ */
+
+import { CSS_EASINGS } from './geometry.js';
+import { BOTTOM_ARROW_AXIS } from './glyphs.js';
+
+/**
+ * Class names the component adds to the animated groups, also used as keyframe names
+ * idPrefix namespaces them so several inlined SVGs can share a page
+ */
+export function motionClasses(idPrefix = 'al') {
+  return {
+    blueRing: `${idPrefix}-blue-ring`,
+    pointerSweep: `${idPrefix}-pointer-sweep`,
+    arrowCounter: `${idPrefix}-arrow-counter`
+  };
+}
+
+// Length of the pointer sweep from 12 o'clock into its performance position
+export const POINTER_SWEEP_SECONDS = 1.5;
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Build the inline stylesheet for a scene
+ * The "A" sweeps from 12 o'clock (0% performance) to its mapped angle while the
+ * bottom arrow counter-rotates so it keeps pointing at its world target; the
+ * blue ring turns like the GSAP effect (not once the plan is called)
+ * idPrefix must match the one given to motionClasses for the same logo
+ */
+export function buildMotionCSS(scene, { ease = 'easeOutQuad', sweepSeconds = POINTER_SWEEP_SECONDS, idPrefix } = {}) {
+  const { center } = scene.layout;
+  const timing = CSS_EASINGS[ease] || CSS_EASINGS.easeOutQuad;
+  const angle = round(scene.pointer.angle);
+  const { blueRing, pointerSweep, arrowCounter } = motionClasses(idPrefix);
+  const rules = [];
+
+  if (!scene.isCalled) {
+    rules.push(
+      `.${blueRing}{transform-box:view-box;transform-origin:${center}px ${center}px;animation:${blueRing} ${scene.blueRing.periodSeconds}s linear infinite}`,
+      `@keyframes ${blueRing}{to{transform:rotate(360deg)}}`
+    );
+  }
+
+  if (angle !== 0) {
+    rules.push(
+      `.${pointerSweep}{transform-box:view-box;transform-origin:${center}px ${center}px;animation:${pointerSweep} ${sweepSeconds}s ${timing} both}`,
+      `@keyframes ${pointerSweep}{from{transform:rotate(${-angle}deg)}to{transform:rotate(0deg)}}`,
+      // Arrow origin is in artwork coordinates (the arrow group is scaled into the layout)
+      `.${arrowCounter}{transform-box:view-box;transform-origin:${BOTTOM_ARROW_AXIS.x}px ${BOTTOM_ARROW_AXIS.y}px;animation:${arrowCounter} ${sweepSeconds}s ${timing} both}`,
+      `@keyframes ${arrowCounter}{from{transform:rotate(${angle}deg)}to{transform:rotate(0deg)}}`
+    );
+  }
+
+  rules.push(`@media (prefers-reduced-motion:reduce){.${blueRing},.${pointerSweep},.${arrowCounter}{animation:none}}`);
+  return rules.join('\n');
+}
@@ -0,0 +1,192 @@
+/**
+ * Price history ingestion for Autocalls.uk Dynamic Logo
+ * Reads daily index closes from CSV or JSON, checks them for gaps, duplicates and
+ * bad ticks, and derives current_level / current_date from the latest official
+ * close. Shared by the Node scripts and the App's price file picker
+ */
+
+import { isBusinessDay } from './schedule.js';
+import { addDays, isISODate } from './timeline.js';
+
+// London close used when a plan has no market_close_time_gmt
+export const DEFAULT_CLOSE_TIME = '16:30';
+
+// Default checks: largest believable day-on-day move, and how many London business
+// days in a row may be missing (foreign indices close on their own holidays)
+export const PRICE_CHECKS = {
+  maxMovePercent: 20,
+  maxMissingDays: 2
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Parse a price file into rows of { date, time, close, low }
+ * CSV needs a date column and a close (or level) column, with an optional time
+ * column (HH:MM GMT) when the file holds several prints a day and an optional low
+ * column for intraday barrier monitoring. JSON is an array of
+ * { date, close | level, time?, low? } or a { "YYYY-MM-DD": close } map.
+ * Values are not checked here; see checkPriceHistory
+ */
+export function parsePriceHistory(text, format = 'json') {
+  if (format === 'csv') {
+    const [header = '', ...lines] = text.trim().split(/\r?\n/);
+    const columns = header.split(',').map(c => c.trim().toLowerCase());
+    const dateCol = columns.indexOf('date');
+    const closeCol = columns.findIndex(c => c === 'close' || c === 'level');
+    const timeCol = columns.indexOf('time');
+    const lowCol = columns.indexOf('low');
+    const number = (cell) => (cell === undefined || cell === '' ? NaN : Number(cell));
+    if (dateCol < 0 || closeCol < 0) {
+      throw new Error('expected "date" and "close" (or "level") columns');
+    }
+    return lines.filter(line => line.trim() !== '').map(line => {
+      const cells = line.split(',').map(c => c.trim());
+      return {
+        date: cells[dateCol] ?? '',
+        time: timeCol >= 0 && cells[timeCol] ? cells[timeCol] : null,
+        close: number(cells[closeCol]),
+        low: lowCol >= 0 && cells[lowCol] ? Number(cells[lowCol]) : null
+      };
+    });
+  }
+
+  const content = typeof text === 'string' ? JSON.parse(text) : text;
+  if (Array.isArray(content)) {
+    return content.map(({ date, time, level, close, low }) => ({
+      date,
+      time: time ?? null,
+      close: Number(close ?? level),
+      low: low === undefined || low === null ? null : Number(low)
+    }));
+  }
+  if (content && typeof content === 'object') {
+    return Object.entries(content).map(([date, close]) => ({ date, time: null, close: Number(close), low: null }));
+  }
+  throw new Error('expected an array of closes or a { date: close } map');
+}
+
+/**
+ * One official close per date, in date order
+ * The official close is the latest print at or before the close time; prints after
+ * it (late trades, after-hours) are ignored
+ */
+export function officialCloses(rows, closeTime = DEFAULT_CLOSE_TIME) {
+  const byDate = new Map();
+  rows.forEach(row => {
+    if (row.time && row.time > closeTime) return;
+    const best = byDate.get(row.date);
+    if (!best || (row.time ?? closeTime) > (best.time ?? closeTime)) {
+      byDate.set(row.date, row);
+    }
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Count London business days strictly between two dates
+ */
+function missingBusinessDays(fromDate, toDate) {
+  let missing = 0;
+  for (let date = addDays(fromDate, 1); date < toDate; date = addDays(date, 1)) {
+    if (isBusinessDay(date)) missing++;
+  }
+  return missing;
+}
+
+/**
+ * Check a price history
+ * Rejects malformed dates and times, duplicate prints, non-positive closes, lows
+ * above their close, runs of more than maxMissingDays missing London business
+ * days, and day-on-day moves beyond maxMovePercent (the later close is treated as
+ * the bad tick)
+ * Returns { valid, errors: [{ date, message }] }
+ */
+export function checkPriceHistory(rows, { closeTime = DEFAULT_CLOSE_TIME, ...limits } = {}) {
+  const { maxMovePercent, maxMissingDays } = { ...PRICE_CHECKS, ...limits };
+  const errors = [];
+  const seen = new Set();
+
+  const usable = rows.filter(row => {
+    if (!isISODate(row.date)) {
+      errors.push({ date: row.date, message: `"${row.date}" is not a valid YYYY-MM-DD date` });
+      return false;
+    }
+    if (row.time !== null && !(typeof row.time === 'string' && TIME_PATTERN.test(row.time))) {
+      errors.push({ date: row.date, message: `${row.date}: time "${row.time}" is not HH:MM` });
+      return false;
+    }
+    const key = `${row.date} ${row.time ?? ''}`;
+    if (seen.has(key)) {
+      errors.push({ date: row.date, message: `${row.date}${row.time ? ` ${row.time}` : ''} appears more than once` });
+      return false;
+    }
+    seen.add(key);
+    if (!Number.isFinite(row.close) || row.close <= 0) {
+      errors.push({ date: row.date, message: `${row.date}: close ${row.close} is not a positive number` });
+      return false;
+    }
+    if (row.low !== null && row.low !== undefined && !(row.low > 0 && row.low <= row.close)) {
+      errors.push({ date: row.date, message: `${row.date}: low ${row.low} is not between 0 and the close ${row.close}` });
+      return false;
+    }
+    return true;
+  });
+
+  const closes = officialCloses(usable, closeTime);
+  if (closes.length === 0 && errors.length === 0) {
+    errors.push({ date: null, message: 'no official closes found' });
+  }
+
+  // Moves are measured from the last good close, so one bad tick is reported once
+  let reference = closes[0];
+  for (let i = 1; i < closes.length; i++) {
+    const prev = closes[i - 1];
+    const curr = closes[i];
+    const missing = missingBusinessDays(prev.date, curr.date);
+    if (missing > maxMissingDays) {
+      errors.push({ date: curr.date, message: `${missing} business days missing between ${prev.date} and ${curr.date}` });
+    }
+    const move = (curr.close - reference.close) / reference.close * 100;
+    if (Math.abs(move) > maxMovePercent) {
+      errors.push({
+        date: curr.date,
+        message: `${curr.date}: close ${curr.close} moves ${move.toFixed(1)}% from ${reference.close} on ${reference.date} (limit ${maxMovePercent}%)`
+      });
+    } else {
+      reference = curr;
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Latest close that is official at an instant
+ * A date's close becomes official at its close time (GMT); before then the previous
+ * close stands. Returns { date, close } or null
+ */
+export function latestOfficialClose(rows, { closeTime = DEFAULT_CLOSE_TIME, asOf = new Date() } = {}) {
+  const now = asOf.toISOString();
+  const official = officialCloses(rows, closeTime).filter(row => `${row.date}T${closeTime}` <= now);
+  const latest = official[official.length - 1];
+  return latest ? { date: latest.date, close: latest.close } : null;
+}
+
+/**
+ * Fill a plan's current_level and current_date from a price history
+ * Throws when the history fails its checks or has no official close yet
+ */
+export function applyPriceHistory(data, rows, { asOf = new Date(), ...limits } = {}) {
+  const closeTime = data.market_close_time_gmt || DEFAULT_CLOSE_TIME;
+  const { valid, errors } = checkPriceHistory(rows, { closeTime, ...limits });
+  if (!valid) {
+    throw new Error(`Invalid price history: ${errors.map(error => error.message).join('; ')}`);
+  }
+
+  const latest = latestOfficialClose(rows, { closeTime, asOf });
+  if (!latest) {
+    throw new Error(`No official close on or before ${asOf.toISOString()}`);
+  }
+  return { ...data, current_level: latest.close, current_date: latest.date };
+}
@@ -0,0 +1,751 @@
+/**
+ * Scene model for Autocalls.uk Dynamic Logo
+ * Resolves a plan JSON into every drawable element of the logo (angles, radii,
+ * colours and state) so the React component and the static generator only
+ * have to serialise the result
+ */
+
+import {
+  angleToCoords,
+  calculateRotationAngle,
+  calculatePerformance,
+  mapPerformanceToAngle,
+  mapBarrierToAngle,
+  mapHurdlePercentToAngle,
+  resolvePointerCurve,
+  avoidCollision,
+  parseDate
+} from './geometry.js';
+import { addMonths, maturityDate, tenorMonths, nextObservation } from './timeline.js';
+import { WORDMARK_WIDTH } from './glyphs.js';
+import { resolveCentreState, CENTRE_STATE_COLOURS } from './centreState.js';
+import { DEFAULT_THEME, resolveTheme } from './themes.js';
+import { describePlan } from './description.js';
+import { DEFAULT_LOCALE, resolveLocale, translate, formatDate, formatPercent } from './locale.js';
+
+// Layout of the 512-wide logo, matched to the original artwork proportions
+// The viewBox runs from the ring down to just below the wordmark; renders keep
+// this aspect ratio (width × 600 / 512)
+export const LOGO_LAYOUT = {
+  viewBoxWidth: 512,
+  viewBoxHeight: 600,
+  center: 256,
+  rOuter: 220,        // Outer radius of green ring
+  rOuterInner: 180,   // Inner radius of green ring
+  rBlue: 155,         // Center radius of blue ring
+  blueStroke: 22,     // Thickness of blue ring
+  pointerScale: 0.3,  // Artwork → layout scale for the "A"
+  arrowScale: 0.28,   // Artwork → layout scale for the bottom arrow
+  arrowOffsetY: 10,
+  wordmarkScale: 0.2
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Plan years that fit on the outer ring at full bar size
+const RING_YEARS = 10;
+
+// One full turn of the blue ring every ten years (real time)
+const BLUE_RING_PERIOD_SECONDS = 10 * 365 * 24 * 60 * 60;
+
+// Centre text lines: font size and the widest each may run inside the blue ring
+// (viewBox px). Longer strings, as in some locales, are set smaller to fit
+const CENTRE_TEXT = {
+  counterparty: { fontSize: 11, maxWidth: 190, bold: false },
+  performance: { fontSize: 14, maxWidth: 150, bold: true },
+  called: { fontSize: 11, maxWidth: 150, bold: true },
+  breach: { fontSize: 9, maxWidth: 200, bold: true }
+};
+
+// Average advance of an Inter glyph as a share of the font size
+const GLYPH_ADVANCE = { regular: 0.56, bold: 0.6 };
+
+// Breach badge: narrowest width and padding either side of its text
+const BREACH_BADGE = { minWidth: 140, padding: 10 };
+
+/**
+ * Estimated width of a line of centre text
+ */
+function textWidth(text, fontSize, bold) {
+  return String(text ?? '').length * fontSize * GLYPH_ADVANCE[bold ? 'bold' : 'regular'];
+}
+
+/**
+ * Font size for a centre line: its usual size, or smaller when the text would
+ * run past the line's width
+ */
+function fitFontSize(text, line) {
+  const { fontSize, maxWidth, bold } = CENTRE_TEXT[line];
+  const width = textWidth(text, fontSize, bold);
+  return width > maxWidth ? Math.floor((fontSize * maxWidth / width) * 10) / 10 : fontSize;
+}
+
+/**
+ * Resolve the logo palette for a theme (see utils/themes.js)
+ * brand_colours apply to themes built on the brand, such as the default
+ */
+export function resolveColors(brandColours, themeName = DEFAULT_THEME) {
+  return resolveTheme(themeName).palette((key, fallback) => brandColours?.[key] || fallback);
+}
+
+/**
+ * Get x,y coordinates on the logo from angle and radius
+ * 0° = 12 o'clock, clockwise positive
+ */
+export function polarToCart(angle, radius) {
+  return angleToCoords(angle, radius, LOGO_LAYOUT.center, LOGO_LAYOUT.center);
+}
+
+/**
+ * Generate an annular segment path with exact start and end angles
+ * Ensures arcs always curve outward (clockwise on outer, counterclockwise on inner)
+ */
+export function describeSegment(startAngle, endAngle, innerR, outerR) {
+  if (startAngle > endAngle) {
+    [startAngle, endAngle] = [endAngle, startAngle];
+  }
+
+  const innerStart = polarToCart(startAngle, innerR);
+  const innerEnd = polarToCart(endAngle, innerR);
+  const outerStart = polarToCart(startAngle, outerR);
+  const outerEnd = polarToCart(endAngle, outerR);
+
+  const largeArc = endAngle - startAngle > 180 ? 1 : 0;
+
+  // Path: inner arc (clockwise), line to outer, outer arc (counterclockwise), line back
+  return `M ${innerStart.x} ${innerStart.y} A ${innerR} ${innerR} 0 ${largeArc} 1 ${innerEnd.x} ${innerEnd.y} L ${outerEnd.x} ${outerEnd.y} A ${outerR} ${outerR} 0 ${largeArc} 0 ${outerStart.x} ${outerStart.y} Z`;
+}
+
+// Join a list of points into an SVG points attribute
+const toPoints = (points) => points.map(p => `${p.x},${p.y}`).join(' ');
+
+/**
+ * Resolve the plan-year layout of the outer ring
+ * The ring represents tenor_years of the plan starting from start_date
+ * 12 o'clock (0°) = "NOW" - always falls WITHIN the current year's bar
+ * Bar size is CONSTANT (based on a 10-year circle) up to 10 plan years; longer
+ * tenors compress the bars so every plan year still fits on one lap. A partial
+ * final year (tenor_years 6.5, 7.25, ...) gets a proportionally shorter bar
+ * at (a Date) places "NOW" part-way through current_date in live mode
+ */
+function resolvePlanYears(data, gapAngle, at) {
+  const { tenor_years, start_date, current_date } = data;
+
+  const startDateObj = new Date(start_date);
+  const currentDateObj = at ?? new Date(current_date);
+  const months = tenorMonths(data);
+
+  if (isNaN(startDateObj.getTime()) || isNaN(currentDateObj.getTime()) || !(months > 0)) {
+    return null;
+  }
+
+  // Plan years on the ring, counting a partial final year
+  const maxYears = Math.ceil(months / 12);
+  const ringYears = Math.max(maxYears, RING_YEARS);
+
+  // End date: start_date + tenor_years
+  const endDateObj = parseDate(maturityDate(data));
+
+  // Total days in the entire tenor period (accounts for leap years)
+  const totalDaysInTenor = Math.round((endDateObj.getTime() - startDateObj.getTime()) / MS_PER_DAY);
+  const daysPerSegment = totalDaysInTenor / tenor_years;
+
+  // Plan Year N: start_date + N years to start_date + N+1 years - 1 day; the final
+  // plan year stops at maturity. fraction is the share of a full year it covers
+  const getPlanYearDates = (yearIndex) => {
+    const yearStart = parseDate(addMonths(start_date, 12 * yearIndex));
+    const nextYearStart = parseDate(addMonths(start_date, 12 * (yearIndex + 1)));
+    const yearStop = yearIndex === maxYears - 1 ? endDateObj : nextYearStart;
+    return {
+      start: yearStart,
+      end: new Date(yearStop.getTime() - MS_PER_DAY),
+      duration: nextYearStart - yearStart,
+      fraction: (yearStop - yearStart) / (nextYearStart - yearStart)
+    };
+  };
+
+  // Which plan year (0-indexed) a date falls into, -1 if outside the tenor;
+  // maturity itself closes the final plan year
+  const getPlanYearIndexForDate = (date) => {
+    if (date < startDateObj || date > endDateObj) return -1;
+    for (let i = 0; i < maxYears; i++) {
+      if (date.getTime() < getPlanYearDates(i).end.getTime() + MS_PER_DAY) return i;
+    }
+    return maxYears - 1;
+  };
+
+  // Total = ringYears * barArc + ringYears * gapArc = 360°
+  const barArc = (360 - ringYears * gapAngle) / ringYears;
+
+  const foundIndex = getPlanYearIndexForDate(currentDateObj);
+  const currentPlanYearIndex = foundIndex >= 0 ? foundIndex : Math.max(0, maxYears - 1);
+
+  // How far through the current plan year are we? (0 = start of plan year, 1 = end
+  // of a full year; a partial final year stops at its fraction)
+  const currentPlanYear = getPlanYearDates(currentPlanYearIndex);
+  const progressInCurrentYear = currentPlanYear.duration > 0
+    ? Math.max(0, Math.min(currentPlanYear.fraction, (currentDateObj - currentPlanYear.start) / currentPlanYear.duration))
+    : 0.5;
+
+  // Bar position relative to 12 o'clock: barStart is the left edge (more negative),
+  // barEnd is the right edge (more positive)
+  const getBarAngles = (yearIndex) => {
+    if (yearIndex === currentPlanYearIndex) {
+      // Current plan year straddles 12 o'clock: elapsed to the right, remaining to the left
+      return {
+        barStart: -(currentPlanYear.fraction - progressInCurrentYear) * barArc,
+        barEnd: progressInCurrentYear * barArc
+      };
+    }
+    if (yearIndex < currentPlanYearIndex) {
+      // Past plan years - entirely on right side (positive angles)
+      const yearsAgo = currentPlanYearIndex - yearIndex;
+      const startOffset = progressInCurrentYear * barArc + gapAngle + (yearsAgo - 1) * (barArc + gapAngle);
+      return { barStart: startOffset, barEnd: startOffset + barArc };
+    }
+    // Future plan years - entirely on left side (negative angles)
+    const yearsAhead = yearIndex - currentPlanYearIndex;
+    const endOffset = (1 - progressInCurrentYear) * barArc + gapAngle + (yearsAhead - 1) * (barArc + gapAngle);
+    return { barStart: -endOffset - getPlanYearDates(yearIndex).fraction * barArc, barEnd: -endOffset };
+  };
+
+  return {
+    startDate: startDateObj,
+    endDate: endDateObj,
+    currentDate: currentDateObj,
+    maxYears,
+    ringYears,
+    totalDaysInTenor,
+    daysPerSegment,
+    currentPlanYearIndex,
+    progressInCurrentYear,
+    barArc,
+    getPlanYearDates,
+    getPlanYearIndexForDate,
+    getBarAngles
+  };
+}
+
+// Half-width of a trigger arrow on the outer ring (degrees)
+const TRIGGER_ARROW_HALF_WIDTH = 2;
+
+/**
+ * Points of an observation trigger arrow: at the outer edge of the green ring,
+ * pointing inward; radialOffset pushes it outward
+ */
+function triggerArrowPoints(angle, radialOffset = 0) {
+  const { rOuter, rOuterInner } = LOGO_LAYOUT;
+  const outer = rOuter + radialOffset;
+  const inner = rOuterInner + radialOffset;
+  const midRadius = inner + (outer - inner) * 0.4;
+  const w = TRIGGER_ARROW_HALF_WIDTH;
+  return toPoints([
+    polarToCart(angle, inner),
+    polarToCart(angle - 0.8, midRadius),
+    polarToCart(angle - w, outer),
+    polarToCart(angle + w, outer),
+    polarToCart(angle + 0.8, midRadius)
+  ]);
+}
+
+/**
+ * Resolve the outer ring: plan-year segments, year labels and trigger arrows
+ */
+function resolveOuterRing(data, colors, gapAngle, at, locale = DEFAULT_LOCALE, gradientId = 'finalObsGradient') {
+  const { rOuter, rOuterInner } = LOGO_LAYOUT;
+  const observations = data.observations || [];
+  const planYears = resolvePlanYears(data, gapAngle, at);
+
+  if (!planYears) {
+    return { valid: false, segments: [], yearLabels: [], triggerArrows: [], stats: null };
+  }
+
+  const { maxYears, currentPlanYearIndex, getPlanYearDates, getBarAngles } = planYears;
+  const segments = [];
+  const yearLabels = [];
+
+  const pushSegment = (key, yearIndex, state, startAngle, endAngle) => {
+    const elapsed = state === 'elapsed';
+    segments.push({
+      key,
+      yearIndex,
+      state,
+      startAngle,
+      endAngle,
+      d: describeSegment(startAngle, endAngle, rOuterInner, rOuter),
+      fill: elapsed ? colors.greyMid : colors.greenPrimary,
+      opacity: elapsed ? 0.6 : 1
+    });
+  };
+
+  for (let yearIndex = 0; yearIndex < maxYears; yearIndex++) {
+    const { barStart, barEnd } = getBarAngles(yearIndex);
+
+    // Skip tiny segments
+    if (Math.abs(barEnd - barStart) < 1) continue;
+
+    const { start, end } = getPlanYearDates(yearIndex);
+    const labelPos = polarToCart((barStart + barEnd) / 2, rOuter + 15);
+    yearLabels.push({
+      yearIndex,
+      label: translate(locale, 'yearLabel', { year: yearIndex + 1 }),
+      x: labelPos.x,
+      y: labelPos.y,
+      actualDays: Math.round((end.getTime() - start.getTime()) / MS_PER_DAY) + 1
+    });
+
+    if (yearIndex === currentPlanYearIndex) {
+      // Current plan year - split at 0° (12 o'clock)
+      if (barStart < 0) {
+        pushSegment(`future-current-${yearIndex}`, yearIndex, 'remaining', barStart, Math.min(0, barEnd));
+      }
+      if (barEnd > 0) {
+        pushSegment(`past-current-${yearIndex}`, yearIndex, 'elapsed', Math.max(0, barStart), barEnd);
+      }
+    } else if (yearIndex < currentPlanYearIndex) {
+      // Past plan year - grey (can wrap around 6 o'clock)
+      if (barStart <= 180 && barEnd > 180) {
+        pushSegment(`past-${yearIndex}-a`, yearIndex, 'elapsed', barStart, 180);
+        pushSegment(`past-${yearIndex}-b`, yearIndex, 'elapsed', -180, barEnd - 360);
+      } else {
+        pushSegment(`past-${yearIndex}`, yearIndex, 'elapsed', barStart, barEnd);
+      }
+    } else {
+      // Future plan year - green (can wrap around 6 o'clock)
+      if (barEnd >= -180 && barStart < -180) {
+        pushSegment(`future-${yearIndex}-a`, yearIndex, 'remaining', -180, barEnd);
+        pushSegment(`future-${yearIndex}-b`, yearIndex, 'remaining', barStart + 360, 180);
+      } else {
+        pushSegment(`future-${yearIndex}`, yearIndex, 'remaining', barStart, barEnd);
+      }
+    }
+  }
+
+  // Trigger arrows bound to their respective plan year segments
+  // Final (future-most) observation index
+  const finalObsIndex = observations.reduce((maxIdx, obs, idx, arr) => {
+    if (maxIdx === -1) return idx;
+    return new Date(obs.date) > new Date(arr[maxIdx].date) ? idx : maxIdx;
+  }, -1);
+
+  const triggerArrows = [];
+  observations.forEach((obs, index) => {
+    const obsDate = new Date(obs.date);
+    const yearIndex = planYears.getPlanYearIndexForDate(obsDate);
+
+    // If outside tenor range, skip
+    if (yearIndex < 0) return;
+
+    // Position within the plan year (0 = start, 1 = end of a full year)
+    const { start, duration } = getPlanYearDates(yearIndex);
+    const progressInYear = duration > 0 ? (obsDate - start) / duration : 0.5;
+
+    // Start of plan year (0%) at right edge (barEnd), moving left by one bar per year
+    const { barEnd } = getBarAngles(yearIndex);
+    let angle = barEnd - progressInYear * planYears.barArc;
+    while (angle > 180) angle -= 360;
+    while (angle < -180) angle += 360;
+
+    // Final observation: amber-to-blue gradient; past: grey; future: sky blue
+    const isPast = obsDate < planYears.currentDate;
+    const isFinal = index === finalObsIndex;
+
+    triggerArrows.push({
+      key: `trigger-arrow-${index}`,
+      index,
+      date: obs.date,
+      yearIndex,
+      angle,
+      state: isPast ? 'past' : 'future',
+      isFinal,
+      triggered: Boolean(obs.triggered),
+      points: triggerArrowPoints(angle),
+      fill: isFinal ? `url(#${gradientId})` : (isPast ? colors.greyMid : colors.futureArrow),
+      stroke: colors.navy,
+      strokeWidth: 1.5
+    });
+  });
+
+  return {
+    valid: true,
+    segments,
+    yearLabels,
+    triggerArrows,
+    stats: {
+      startDate: data.start_date,
+      endDate: planYears.endDate.toISOString().split('T')[0],
+      totalDaysInTenor: planYears.totalDaysInTenor,
+      daysPerSegment: planYears.daysPerSegment,
+      tenorYears: data.tenor_years,
+      planYears: maxYears,
+      // Bars are compressed when there are more plan years than fit at full size
+      compressed: planYears.ringYears > RING_YEARS,
+      currentPlanYearIndex,
+      progressInCurrentYear: planYears.progressInCurrentYear,
+      barArc: planYears.barArc,
+      gapAngle,
+      // The bars move as one rigid ring: this is how far plan year 1's end has
+      // turned clockwise past 12 o'clock (0° on start_date)
+      ringRotation: planYears.progressInCurrentYear * planYears.barArc
+        + currentPlanYearIndex * (planYears.barArc + gapAngle)
+    }
+  };
+}
+
+/**
+ * Build an inward-pointing arrow on the blue ring
+ * large = true for the next observation arrow (40% longer, 30% wider);
+ * radialOffset pushes it outward
+ */
+function levelArrow(angle, fill, stroke, large, radialOffset = 0) {
+  const { rBlue, blueStroke } = LOGO_LAYOUT;
+  const arrowLength = 20 * (large ? 1.4 : 1.0);
+  const widthMultiplier = large ? 1.3 : 1.0;
+  const outerRadius = rBlue + blueStroke / 2 + 2 + radialOffset;
+  const innerRadius = outerRadius - arrowLength;
+
+  const tip = polarToCart(angle, innerRadius);
+  const baseLeft = polarToCart(angle - 3 * widthMultiplier, outerRadius);
+  const baseRight = polarToCart(angle + 3 * widthMultiplier, outerRadius);
+
+  // Notch for arrow shape
+  const notchRadius = innerRadius + arrowLength * 0.35;
+  const notchLeft = polarToCart(angle - 1.2 * widthMultiplier, notchRadius);
+  const notchRight = polarToCart(angle + 1.2 * widthMultiplier, notchRadius);
+
+  return {
+    angle,
+    radius: outerRadius,
+    large,
+    halfWidth: 3 * widthMultiplier,
+    points: toPoints([tip, notchLeft, baseLeft, baseRight, notchRight]),
+    fill,
+    stroke,
+    strokeWidth: 1.5
+  };
+}
+
+/**
+ * Resolve the next observation and final index level arrows on the blue ring
+ */
+function resolveLevelArrows(data, colors, pointerCurve) {
+  const observations = data.observations || [];
+  const upcoming = nextObservation(data);
+
+  const next = upcoming && Number.isFinite(upcoming.hurdle_percent)
+    ? {
+        ...levelArrow(mapHurdlePercentToAngle(upcoming.hurdle_percent, pointerCurve), colors.greenAccent, colors.greenDark, true),
+        date: upcoming.date,
+        hurdlePercent: upcoming.hurdle_percent
+      }
+    : null;
+
+  // Final index level as percentage of strike (fallback 100%)
+  const lastObs = observations.reduce((latest, obs) => {
+    if (!latest) return obs;
+    return new Date(obs.date) > new Date(latest.date) ? obs : latest;
+  }, null);
+  const finalHurdle = lastObs && Number.isFinite(lastObs.hurdle_percent) && lastObs.hurdle_percent
+    ? lastObs.hurdle_percent
+    : 100;
+
+  const final = {
+    ...levelArrow(mapHurdlePercentToAngle(finalHurdle, pointerCurve), colors.white, colors.greenPrimary, false),
+    date: lastObs?.date ?? null,
+    hurdlePercent: finalHurdle
+  };
+
+  return { next, final };
+}
+
+/**
+ * Resolve the 8 static radial marks inside the blue ring
+ * Positions: 1, 2, 3, 4 o'clock and 8, 9, 10, 11 o'clock
+ */
+function resolveRadialMarks(colors) {
+  const { rBlue, blueStroke } = LOGO_LAYOUT;
+  const width = 10;
+  const height = 14;
+  const radius = rBlue - blueStroke / 2 - 18;
+
+  return [30, 60, 90, 120, 240, 270, 300, 330].map(angle => {
+    const pos = polarToCart(angle, radius);
+    return {
+      angle,
+      x: pos.x - width / 2,
+      y: pos.y - height / 2,
+      width,
+      height,
+      fill: colors.greenPrimary,
+      // Rotate so the longer dimension points toward center
+      transform: `rotate(${angle}, ${pos.x}, ${pos.y})`
+    };
+  });
+}
+
+/**
+ * Points of the barrier triangle centred at a radius, tip pointing outward
+ */
+function barrierPoints(angle, radius, size) {
+  const center = polarToCart(angle, radius);
+  const vertex = (offset) => {
+    const rad = ((angle + offset - 90) * Math.PI) / 180;
+    return { x: center.x + size * Math.cos(rad), y: center.y + size * Math.sin(rad) };
+  };
+  return toPoints([vertex(0), vertex(120), vertex(-120)]);
+}
+
+/**
+ * Resolve the barrier - equilateral triangle inside the blue ring, tip pointing outward
+ * Amber while intact; larger and filled red once barrier_breach records a breach
+ */
+function resolveBarrier(barrierPercent, barrierBreach, colors, pointerCurve) {
+  const { rBlue, blueStroke } = LOGO_LAYOUT;
+  const breached = Boolean(barrierBreach?.breached);
+  const size = breached ? 13 : 10;
+  const radius = rBlue - blueStroke / 2 - 18;
+
+  // Default to 12 o'clock if invalid
+  const num = Number(barrierPercent);
+  const angle = Number.isFinite(num) ? mapBarrierToAngle(num, pointerCurve) : 0;
+
+  return {
+    percent: barrierPercent,
+    angle,
+    radius,
+    size,
+    halfWidth: (Math.atan(size / radius) * 180) / Math.PI,
+    points: barrierPoints(angle, radius, size),
+    fill: breached ? colors.barrierRed : colors.amber,
+    breached,
+    breach: breached
+      ? {
+        firstBreachDate: barrierBreach.first_breach_date ?? null,
+        lowestLevel: barrierBreach.lowest_level ?? null,
+        lowestDate: barrierBreach.lowest_date ?? null
+      }
+      : null
+  };
+}
+
+/**
+ * Collision layout pass across the ring indicators
+ * Blue ring, in priority order: final level arrow, next observation arrow, barrier
+ * (which moves inward rather than outward). Outer ring: trigger arrows in date order,
+ * anchored so they still reach 12:00 on their dates; blue-ring indicators sitting at
+ * 12:00 are anchored too. Each indicator moves radial_offset_px off its ring first,
+ * then angular_jitter_deg sideways, so the result is the same for a given plan.
+ * Returns the adjusted indicators plus placements [{ id, kind, originalAngle, angle,
+ * radialOffset, original: {x, y}, adjusted: {x, y} }] for the debug overlay
+ */
+function layoutIndicators({ levelArrows, barrier, triggerArrows }, designTokens) {
+  const radialStep = Number.isFinite(designTokens?.radial_offset_px) ? designTokens.radial_offset_px : 6;
+  const jitter = Number.isFinite(designTokens?.angular_jitter_deg) ? designTokens.angular_jitter_deg : 2;
+  const placements = [];
+
+  const place = (items) => {
+    const placed = [];
+    return items.map(item => {
+      // Offsets are signed (outward positive) so inward and outward moves never clash
+      const { angle, radialOffset } = avoidCollision(item.angle, placed, radialStep * item.direction || 0, jitter, {
+        halfWidth: item.halfWidth,
+        anchored: item.anchored || Math.abs(item.angle) < 1e-9
+      });
+      placed.push({ angle, radialOffset, halfWidth: item.halfWidth });
+      placements.push({
+        id: item.id,
+        kind: item.kind,
+        originalAngle: item.angle,
+        angle,
+        radialOffset,
+        original: polarToCart(item.angle, item.radius),
+        adjusted: polarToCart(angle, item.radius + radialOffset)
+      });
+      return item.rebuild(angle, Math.abs(radialOffset));
+    });
+  };
+
+  const { next, final } = levelArrows;
+  const levelItem = (id, arrow) => ({
+    id,
+    kind: 'level-arrow',
+    angle: arrow.angle,
+    radius: arrow.radius,
+    halfWidth: arrow.halfWidth,
+    direction: 1,
+    rebuild: (angle, offset) => ({ ...arrow, ...levelArrow(angle, arrow.fill, arrow.stroke, arrow.large, offset) })
+  });
+  const barrierItem = {
+    id: 'barrier',
+    kind: 'barrier',
+    angle: barrier.angle,
+    radius: barrier.radius,
+    halfWidth: barrier.halfWidth,
+    direction: -1,
+    rebuild: (angle, offset) => ({
+      ...barrier,
+      angle,
+      radius: barrier.radius - offset,
+      points: barrierPoints(angle, barrier.radius - offset, barrier.size)
+    })
+  };
+  const [adjustedFinal, ...rest] = place([levelItem('final-level', final), next && levelItem('next-level', next), barrierItem].filter(Boolean));
+  const adjustedBarrier = rest.pop();
+  const adjustedNext = next ? rest.pop() : null;
+
+  const byDate = [...triggerArrows].sort((a, b) => a.date.localeCompare(b.date));
+  const adjustedArrows = place(byDate.map(arrow => ({
+    id: arrow.key,
+    kind: 'observation',
+    angle: arrow.angle,
+    radius: LOGO_LAYOUT.rOuter,
+    halfWidth: TRIGGER_ARROW_HALF_WIDTH,
+    direction: 1,
+    anchored: true,
+    rebuild: (angle, offset) => ({ ...arrow, radialOffset: offset, points: triggerArrowPoints(angle, offset) })
+  })));
+  const arrowsByKey = new Map(adjustedArrows.map(arrow => [arrow.key, arrow]));
+
+  return {
+    levelArrows: { next: adjustedNext, final: adjustedFinal },
+    barrier: adjustedBarrier,
+    triggerArrows: triggerArrows.map(arrow => arrowsByKey.get(arrow.key)),
+    placements
+  };
+}
+
+/**
+ * Build the resolved logo scene from plan data
+ * at is the effective instant of a live logo (see liveClock.js); the rings are
+ * then turned to that instant rather than to the start of current_date
+ * theme names the palette (see utils/themes.js) and locale the language and number
+ * formats (see utils/locale.js); each overrides the plan's own field
+ * idPrefix namespaces the gradient id so several logos can share a page
+ */
+export function buildScene(data, { at, theme: themeName, locale: localeTag, idPrefix } = {}) {
+  const {
+    plan_name,
+    start_date,
+    current_date,
+    initial_strike_level,
+    current_level,
+    barrier_percent,
+    barrier_breach,
+    counterparty,
+    is_called,
+    called_date,
+    brand_colours,
+    design_tokens,
+    bottom_arrow_color,
+    bottom_arrow_target = 0
+  } = data;
+
+  const { center, pointerScale, arrowScale, arrowOffsetY, wordmarkScale, viewBoxWidth, viewBoxHeight } = LOGO_LAYOUT;
+  const theme = resolveTheme(themeName || data.theme);
+  const locale = resolveLocale(localeTag || data.locale);
+  const colors = resolveColors(brand_colours, theme.name);
+  const gapAngle = design_tokens?.gap_angle_deg || 5;
+  const gradientId = idPrefix ? `${idPrefix}-finalObsGradient` : 'finalObsGradient';
+
+  const rotationAngle = calculateRotationAngle(start_date, at ?? current_date);
+  const performance = calculatePerformance(initial_strike_level, current_level);
+  const pointerCurve = resolvePointerCurve(design_tokens);
+  const pointerAngle = mapPerformanceToAngle(performance, pointerCurve);
+
+  const outerRingBase = resolveOuterRing(data, colors, gapAngle, at, locale, gradientId);
+  const indicators = layoutIndicators({
+    levelArrows: resolveLevelArrows(data, colors, pointerCurve),
+    barrier: resolveBarrier(barrier_percent, barrier_breach, colors, pointerCurve),
+    triggerArrows: outerRingBase.triggerArrows
+  }, design_tokens);
+  const outerRing = { ...outerRingBase, triggerArrows: indicators.triggerArrows };
+  const warnings = outerRing.valid ? [] : ['Invalid date detected'];
+
+  // Centre dot colour from centre_state or the risk rules
+  const centreState = resolveCentreState(data);
+  const centreStateFill = colors[CENTRE_STATE_COLOURS[centreState.state]];
+
+  const description = describePlan(data, locale);
+
+  // Centre labels in the chosen locale
+  const performanceLabel = formatPercent(performance, locale, { digits: 1, signed: true });
+  const calledLabel = is_called && called_date ? translate(locale, 'called', { date: formatDate(called_date, locale) }) : null;
+  const breachLabel = barrier_breach?.breached
+    ? (barrier_breach.first_breach_date
+      ? translate(locale, 'barrierBreachedOn', { date: formatDate(barrier_breach.first_breach_date, locale) })
+      : translate(locale, 'barrierBreached'))
+    : null;
+
+  // Bottom arrow points at a WORLD angle, so counter-rotate against the "A"
+  const worldTargetAngle = Number(bottom_arrow_target) || 0;
+
+  return {
+    layout: LOGO_LAYOUT,
+    colors,
+    theme: theme.name,
+    locale,
+    planName: plan_name,
+    ariaLabel: description.title,
+    // Title, description and facts table for assistive technology
+    description,
+    rotationAngle,
+    performance,
+    pointerCurve,
+    isCalled: Boolean(is_called),
+    centreState: { ...centreState, fill: centreStateFill },
+    finalObsGradient: {
+      id: gradientId,
+      stops: colors.finalObsGradient.map((color, i, stops) => ({ offset: `${(i / (stops.length - 1)) * 100}%`, color }))
+    },
+    outerRing,
+    blueRing: {
+      radius: LOGO_LAYOUT.rBlue,
+      stroke: colors.navy,
+      strokeWidth: LOGO_LAYOUT.blueStroke,
+      periodSeconds: BLUE_RING_PERIOD_SECONDS
+    },
+    levelArrows: indicators.levelArrows,
+    radialMarks: resolveRadialMarks(colors),
+    barrier: indicators.barrier,
+    indicatorLayout: indicators.placements,
+    pointer: {
+      angle: pointerAngle,
+      transform: `rotate(${pointerAngle}, ${center}, ${center})`,
+      scale: pointerScale,
+      fill: colors.navy,
+      cutoutFill: colors.white,
+      circleFill: centreStateFill
+    },
+    bottomArrow: {
+      color: (theme.planColours && bottom_arrow_color) || colors.greenPrimary,
+      scale: arrowScale,
+      offsetY: arrowOffsetY,
+      worldTargetAngle,
+      localRotation: worldTargetAngle - pointerAngle
+    },
+    centreInfo: {
+      counterparty,
+      counterpartySize: fitFontSize(counterparty, 'counterparty'),
+      performanceLabel,
+      performanceSize: fitFontSize(performanceLabel, 'performance'),
+      performanceFill: performance >= 0 ? colors.greenPrimary : colors.barrierRed,
+      calledLabel,
+      calledSize: fitFontSize(calledLabel, 'called'),
+      calledFill: colors.greenPrimary,
+      breachLabel,
+      breachSize: fitFontSize(breachLabel, 'breach'),
+      breachWidth: Math.max(BREACH_BADGE.minWidth, Math.min(CENTRE_TEXT.breach.maxWidth,
+        textWidth(breachLabel, CENTRE_TEXT.breach.fontSize, true) + 2 * BREACH_BADGE.padding)),
+      breachFill: colors.barrierRed
+    },
+    wordmark: {
+      scale: wordmarkScale,
+      // Centred horizontally, positioned near the bottom of the emblem
+      x: (viewBoxWidth - WORDMARK_WIDTH * wordmarkScale) / 2,
+      y: viewBoxWidth - 45,
+      colors: { navy: colors.wordmarkNavy, green: colors.wordmarkGreen }
+    },
+    background: { width: viewBoxWidth, height: viewBoxHeight, fill: colors.background },
+    warnings
+  };
+}
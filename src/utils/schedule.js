@@ -0,0 +1,226 @@
+/**
+ * Observation schedule builder for Autocalls.uk Dynamic Logo
+ * Generates a plan's observations from start_date at a fixed frequency, with an
+ * optional non-call period and step-down / step-up hurdles, rolling each date to a
+ * London business day (England & Wales bank holidays)
+ */
+
+import { parseDate } from './geometry.js';
+import { toISODate, addDays, addMonths } from './timeline.js';
+
+// Months between observations for each frequency
+export const FREQUENCIES = {
+  annual: 12,
+  'semi-annual': 6,
+  quarterly: 3,
+  monthly: 1
+};
+
+// Business-day conventions: none keeps the scheduled date as is
+export const ROLL_CONVENTIONS = ['following', 'modified-following', 'none'];
+
+// Hurdle bounds accepted by the plan schema
+const HURDLE_MIN = 50;
+const HURDLE_MAX = 150;
+
+// Bank holidays moved from their usual rule by proclamation
+const MOVED_HOLIDAYS = {
+  '1995-05-01': '1995-05-08', // VE Day 50th anniversary
+  '2002-05-27': '2002-06-04', // Golden Jubilee
+  '2012-05-28': '2012-06-04', // Diamond Jubilee
+  '2020-05-04': '2020-05-08', // VE Day 75th anniversary
+  '2022-05-30': '2022-06-02'  // Platinum Jubilee
+};
+
+// One-off bank holidays
+const EXTRA_HOLIDAYS = [
+  '1999-12-31', // Millennium
+  '2002-06-03', // Golden Jubilee
+  '2011-04-29', // Royal wedding
+  '2012-06-05', // Diamond Jubilee
+  '2022-06-03', // Platinum Jubilee
+  '2022-09-19', // State funeral of Queen Elizabeth II
+  '2023-05-08'  // Coronation of King Charles III
+];
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+/**
+ * Easter Sunday for a year (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month - 1, day);
+}
+
+/**
+ * First or last given weekday of a month (weekday 1 = Monday)
+ */
+function nthWeekday(year, month, weekday, last = false) {
+  if (last) {
+    const date = utcDate(year, month + 1, 0);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - weekday + 7) % 7));
+    return date;
+  }
+  const date = utcDate(year, month, 1);
+  date.setUTCDate(1 + ((weekday - date.getUTCDay() + 7) % 7));
+  return date;
+}
+
+/**
+ * Fixed-date holidays that fall at a weekend move to the next free weekday
+ * (Christmas on a Saturday gives Monday 27th and Boxing Day Tuesday 28th)
+ */
+function withSubstitutes(dates) {
+  const taken = new Set(dates.filter(date => !isWeekend(date)).map(toISODate));
+  return dates.map(date => {
+    if (!isWeekend(date)) return toISODate(date);
+    let substitute = toISODate(date);
+    do {
+      substitute = addDays(substitute, 1);
+    } while (isWeekend(parseDate(substitute)) || taken.has(substitute));
+    taken.add(substitute);
+    return substitute;
+  });
+}
+
+/**
+ * England & Wales bank holidays for a year, as sorted ISO dates
+ * Rule-based, plus the moved and one-off holidays proclaimed so far
+ */
+export function bankHolidays(year) {
+  const easter = easterSunday(year);
+  const ruled = [
+    ...withSubstitutes([utcDate(year, 0, 1)]),
+    addDays(toISODate(easter), -2),                 // Good Friday
+    addDays(toISODate(easter), 1),                  // Easter Monday
+    toISODate(nthWeekday(year, 4, 1)),              // Early May bank holiday
+    toISODate(nthWeekday(year, 4, 1, true)),        // Spring bank holiday
+    toISODate(nthWeekday(year, 7, 1, true)),        // Summer bank holiday
+    ...withSubstitutes([utcDate(year, 11, 25), utcDate(year, 11, 26)])
+  ].map(date => MOVED_HOLIDAYS[date] || date);
+
+  const extra = EXTRA_HOLIDAYS.filter(date => date.startsWith(`${year}-`));
+  return [...new Set([...ruled, ...extra])].sort();
+}
+
+// Holidays are computed once per year
+const holidayCache = new Map();
+
+/**
+ * True when London is open: a weekday that is not an England & Wales bank holiday
+ */
+export function isBusinessDay(dateStr) {
+  const date = parseDate(dateStr);
+  if (isWeekend(date)) return false;
+  const year = date.getUTCFullYear();
+  if (!holidayCache.has(year)) {
+    holidayCache.set(year, new Set(bankHolidays(year)));
+  }
+  return !holidayCache.get(year).has(dateStr);
+}
+
+/**
+ * Step to the nearest business day in a direction (1 forward, -1 back)
+ */
+function nextBusinessDay(dateStr, direction) {
+  let date = dateStr;
+  while (!isBusinessDay(date)) {
+    date = addDays(date, direction);
+  }
+  return date;
+}
+
+/**
+ * Roll a date to a business day
+ * following: next business day; modified-following: next business day unless
+ * that crosses into the next month, then the previous one; none: unchanged
+ */
+export function rollBusinessDay(dateStr, convention = 'modified-following') {
+  if (convention === 'none') return dateStr;
+  if (!ROLL_CONVENTIONS.includes(convention)) {
+    throw new Error(`Unknown roll convention "${convention}" (expected ${ROLL_CONVENTIONS.join(', ')})`);
+  }
+
+  const following = nextBusinessDay(dateStr, 1);
+  if (convention === 'modified-following' && following.slice(0, 7) !== dateStr.slice(0, 7)) {
+    return nextBusinessDay(dateStr, -1);
+  }
+  return following;
+}
+
+/**
+ * Generate an observation schedule
+ * Options:
+ *   startDate, tenorYears   plan start and length; observations run up to maturity
+ *   frequency               annual | semi-annual | quarterly | monthly
+ *   nonCallMonths           months after start with no observation (default 0)
+ *   firstHurdle             hurdle_percent of the first observation (default 100)
+ *   hurdleStep              change applied every stepEvery observations: negative
+ *                           for step-down, positive for step-up (default 0)
+ *   stepEvery               observations between steps (default 1)
+ *   hurdleLimit             floor for step-down / cap for step-up (default none)
+ *   roll                    following | modified-following | none
+ * Rolled dates never pass maturity: a final date that would roll beyond it takes
+ * the preceding business day instead
+ * Returns [{ date, hurdle_percent, triggered: false }]
+ */
+export function generateSchedule({
+  startDate,
+  tenorYears,
+  frequency = 'annual',
+  nonCallMonths = 0,
+  firstHurdle = 100,
+  hurdleStep = 0,
+  stepEvery = 1,
+  hurdleLimit = null,
+  roll = 'modified-following'
+}) {
+  const months = FREQUENCIES[frequency];
+  if (!months) {
+    throw new Error(`Unknown frequency "${frequency}" (expected ${Object.keys(FREQUENCIES).join(', ')})`);
+  }
+  if (isNaN(parseDate(startDate).getTime())) {
+    throw new Error(`Invalid start date "${startDate}"`);
+  }
+  const tenorMonths = Math.round(Number(tenorYears) * 12);
+  if (!Number.isFinite(tenorMonths) || tenorMonths <= 0) {
+    throw new Error(`Invalid tenor "${tenorYears}"`);
+  }
+
+  const maturity = addMonths(startDate, tenorMonths);
+  const every = Math.max(1, Math.floor(stepEvery) || 1);
+  const hurdleFor = (n) => {
+    let hurdle = firstHurdle + Math.floor(n / every) * hurdleStep;
+    if (Number.isFinite(hurdleLimit)) {
+      hurdle = hurdleStep < 0 ? Math.max(hurdle, hurdleLimit) : Math.min(hurdle, hurdleLimit);
+    }
+    return Math.round(Math.max(HURDLE_MIN, Math.min(HURDLE_MAX, hurdle)) * 100) / 100;
+  };
+
+  const observations = [];
+  for (let offset = months; offset <= tenorMonths; offset += months) {
+    if (offset < nonCallMonths) continue;
+
+    let date = rollBusinessDay(addMonths(startDate, offset), roll);
+    if (date > maturity) {
+      date = nextBusinessDay(maturity, -1);
+    }
+    observations.push({ date, hurdle_percent: hurdleFor(observations.length), triggered: false });
+  }
+  return observations;
+}
@@ -0,0 +1,226 @@
+/**
+ * SVG path utilities for Autocalls.uk Dynamic Logo
+ * Converts path data into absolute cubic bezier subpaths, used by exporters that
+ * cannot consume SVG path strings directly (e.g. Lottie)
+ */
+
+const COMMAND_ARGS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+/**
+ * Tokenise path data into [command, args[]] pairs
+ * Repeated argument groups are split into repeated commands (implicit lineto after moveto)
+ */
+function tokenise(d) {
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  const commands = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    const command = tokens[i++];
+    const lower = command.toLowerCase();
+    const argCount = COMMAND_ARGS[lower];
+    if (argCount === undefined) {
+      throw new Error(`Unsupported path command "${command}"`);
+    }
+    if (argCount === 0) {
+      commands.push([command, []]);
+      continue;
+    }
+
+    let first = true;
+    do {
+      const args = tokens.slice(i, i + argCount).map(Number);
+      if (args.length < argCount || args.some(Number.isNaN)) {
+        throw new Error(`Malformed arguments for path command "${command}"`);
+      }
+      i += argCount;
+      // Extra coordinate pairs after a moveto are implicit linetos
+      const implicit = !first && lower === 'm' ? (command === 'm' ? 'l' : 'L') : command;
+      commands.push([implicit, args]);
+      first = false;
+    } while (i < tokens.length && !/[a-zA-Z]/.test(tokens[i]));
+  }
+
+  return commands;
+}
+
+/**
+ * Convert an elliptical arc into cubic bezier segments (SVG spec F.6)
+ */
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+    return [[x1, y1, x2, y2, x2, y2]];
+  }
+
+  const phi = (rotation * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  // Scale radii up if they cannot span the endpoints
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const sign = largeArc === sweep ? -1 : 1;
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = sign * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coefficient * rx * y1p) / ry;
+  const cyp = (-coefficient * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => {
+    const a = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    return a;
+  };
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  // Split into segments of at most 90°
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => [
+    cx + rx * Math.cos(t) * cosPhi - ry * Math.sin(t) * sinPhi,
+    cy + rx * Math.cos(t) * sinPhi + ry * Math.sin(t) * cosPhi
+  ];
+  const derivative = (t) => [
+    -rx * Math.sin(t) * cosPhi - ry * Math.cos(t) * sinPhi,
+    -rx * Math.sin(t) * sinPhi + ry * Math.cos(t) * cosPhi
+  ];
+
+  const cubics = [];
+  for (let s = 0; s < segments; s++) {
+    const t1 = theta1 + s * step;
+    const t2 = t1 + step;
+    const [px1, py1] = point(t1);
+    const [px2, py2] = s === segments - 1 ? [x2, y2] : point(t2);
+    const [dx1, dy1] = derivative(t1);
+    const [dx2, dy2] = derivative(t2);
+    cubics.push([px1 + k * dx1, py1 + k * dy1, px2 - k * dx2, py2 - k * dy2, px2, py2]);
+  }
+  return cubics;
+}
+
+/**
+ * Parse SVG path data into subpaths of absolute cubic segments
+ * Returns [{ start: [x, y], segments: [[c1x, c1y, c2x, c2y, x, y], ...], closed }]
+ */
+export function parsePathToCubics(d) {
+  const subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;   // Reflection source for S/s
+  let lastQuad = null;      // Reflection source for T/t
+
+  const lineTo = (nx, ny) => {
+    current.segments.push([x, y, nx, ny, nx, ny]);
+    x = nx;
+    y = ny;
+  };
+  const quadTo = (qx, qy, nx, ny) => {
+    current.segments.push([
+      x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y),
+      nx + (2 / 3) * (qx - nx), ny + (2 / 3) * (qy - ny),
+      nx, ny
+    ]);
+    x = nx;
+    y = ny;
+  };
+
+  for (const [command, args] of tokenise(d)) {
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    const type = command.toLowerCase();
+    let control = null;
+    let quad = null;
+
+    if (type !== 'm' && !current) {
+      current = { start: [x, y], segments: [], closed: false };
+      subpaths.push(current);
+    }
+
+    switch (type) {
+      case 'm':
+        x = ox + args[0];
+        y = oy + args[1];
+        startX = x;
+        startY = y;
+        current = { start: [x, y], segments: [], closed: false };
+        subpaths.push(current);
+        break;
+      case 'l':
+        lineTo(ox + args[0], oy + args[1]);
+        break;
+      case 'h':
+        lineTo(ox + args[0], y);
+        break;
+      case 'v':
+        lineTo(x, oy + args[0]);
+        break;
+      case 'c': {
+        const segment = [ox + args[0], oy + args[1], ox + args[2], oy + args[3], ox + args[4], oy + args[5]];
+        current.segments.push(segment);
+        control = [segment[2], segment[3]];
+        [x, y] = [segment[4], segment[5]];
+        break;
+      }
+      case 's': {
+        const [c1x, c1y] = lastControl ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        const segment = [c1x, c1y, ox + args[0], oy + args[1], ox + args[2], oy + args[3]];
+        current.segments.push(segment);
+        control = [segment[2], segment[3]];
+        [x, y] = [segment[4], segment[5]];
+        break;
+      }
+      case 'q':
+        quad = [ox + args[0], oy + args[1]];
+        quadTo(quad[0], quad[1], ox + args[2], oy + args[3]);
+        break;
+      case 't':
+        quad = lastQuad ? [2 * x - lastQuad[0], 2 * y - lastQuad[1]] : [x, y];
+        quadTo(quad[0], quad[1], ox + args[0], oy + args[1]);
+        break;
+      case 'a': {
+        const nx = ox + args[5];
+        const ny = oy + args[6];
+        current.segments.push(...arcToCubics(x, y, args[0], args[1], args[2], args[3] !== 0, args[4] !== 0, nx, ny));
+        x = nx;
+        y = ny;
+        break;
+      }
+      case 'z':
+        if (x !== startX || y !== startY) {
+          lineTo(startX, startY);
+        }
+        current.closed = true;
+        current = null;
+        x = startX;
+        y = startY;
+        break;
+      default:
+        break;
+    }
+
+    lastControl = control;
+    lastQuad = quad;
+  }
+
+  return subpaths.filter(subpath => subpath.segments.length > 0);
+}
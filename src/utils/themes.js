@@ -0,0 +1,163 @@
+/**
+ * Colour themes for Autocalls.uk Dynamic Logo
+ * A theme is a full palette for everything the logo draws: ring bars, observation
+ * arrows (past, future and the final gradient), level arrows, barrier, blue ring,
+ * the "A" and its cutout, centre text, wordmark and background. Chosen by the
+ * DynamicLogo theme prop, the plan's theme field or the scripts' --theme flag
+ */
+
+export const DEFAULT_THEME = 'default';
+
+// Navy and green of the original artwork
+const ARTWORK_NAVY = '#0b3763';
+const ARTWORK_GREEN = '#107b44';
+
+/**
+ * Theme palettes
+ * palette(brand) returns the colours, where brand(key, fallback) reads
+ * brand_colours. planColours: the plan's bottom_arrow_color also applies
+ * Keys: navy (blue ring, "A", arrow outlines, centre text), greenPrimary (remaining
+ * bars, radial marks), greenAccent / greenDark (next-call arrow, Green centre),
+ * barrierRed, finalPurple, greyLight, greyMid (elapsed bars, past arrows),
+ * white (the paper: "A" cutout, hollow arrows, text on coloured dots),
+ * background, futureArrow, amber (barrier, Amber centre), finalObsGradient
+ * (top → bottom stops) and wordmarkNavy / wordmarkGreen
+ */
+export const THEMES = {
+  default: {
+    label: 'Default',
+    planColours: true,
+    palette: (brand) => ({
+      navy: brand('navy', ARTWORK_NAVY),
+      greenPrimary: brand('green_primary', ARTWORK_GREEN),
+      greenAccent: brand('green_accent', '#0FA15A'),
+      greenDark: '#0A5C2F',
+      barrierRed: brand('barrier_red', '#C62828'),
+      finalPurple: brand('final_hurdle_purple', '#5E35B1'),
+      greyLight: brand('grey_light', '#D9D9D9'),
+      greyMid: brand('grey_mid', '#A6A6A6'),
+      white: '#FFFFFF',
+      background: '#FFFFFF',
+      futureArrow: '#87CEEB',
+      amber: '#FFA000',
+      finalObsGradient: ['#FFEB3B', '#F9A825', '#0D47A1'],
+      wordmarkNavy: brand('navy', ARTWORK_NAVY),
+      wordmarkGreen: brand('green_primary', ARTWORK_GREEN)
+    })
+  },
+
+  // Light inks on a near-black panel, for dark-mode site headers; arrows are filled
+  // dark so they stand out from their light outlines
+  dark: {
+    label: 'Dark',
+    planColours: false,
+    palette: () => ({
+      navy: '#A9C7F0',
+      greenPrimary: '#34C77B',
+      greenAccent: '#4BE08F',
+      greenDark: '#1F9D5C',
+      barrierRed: '#FF6B6B',
+      finalPurple: '#B39DDB',
+      greyLight: '#3A4557',
+      greyMid: '#475262',
+      white: '#0B1220',
+      background: '#0B1220',
+      futureArrow: '#0D4F7C',
+      amber: '#FFB300',
+      finalObsGradient: ['#FFEB3B', '#F9A825', '#64B5F6'],
+      wordmarkNavy: '#E8EEF7',
+      wordmarkGreen: '#4BE08F'
+    })
+  },
+
+  // One ink and its tints, for single-colour print and fax; future arrows are hollow
+  monochrome: {
+    label: 'Monochrome',
+    planColours: false,
+    palette: () => ({
+      navy: '#000000',
+      greenPrimary: '#000000',
+      greenAccent: '#000000',
+      greenDark: '#000000',
+      barrierRed: '#000000',
+      finalPurple: '#000000',
+      greyLight: '#C0C0C0',
+      greyMid: '#808080',
+      white: '#FFFFFF',
+      background: '#FFFFFF',
+      futureArrow: '#FFFFFF',
+      amber: '#808080',
+      finalObsGradient: ['#BFBFBF', '#808080', '#000000'],
+      wordmarkNavy: '#000000',
+      wordmarkGreen: '#000000'
+    })
+  },
+
+  // Dark, saturated inks on white; text, and arrows against their outlines, clear 4.5:1
+  'high-contrast': {
+    label: 'High contrast',
+    planColours: false,
+    palette: () => ({
+      navy: '#001F4D',
+      greenPrimary: '#006B30',
+      greenAccent: '#007A37',
+      greenDark: '#003D1B',
+      barrierRed: '#B00020',
+      finalPurple: '#4A148C',
+      greyLight: '#767676',
+      greyMid: '#8A8A8A',
+      white: '#FFFFFF',
+      background: '#FFFFFF',
+      futureArrow: '#1F87FF',
+      amber: '#A45500',
+      finalObsGradient: ['#A45500', '#7A3E00', '#001F4D'],
+      wordmarkNavy: '#001F4D',
+      wordmarkGreen: '#006B30'
+    })
+  },
+
+  // White logo reversed out of the brand navy
+  reversed: {
+    label: 'Reversed (on navy)',
+    planColours: false,
+    palette: (brand) => ({
+      navy: '#FFFFFF',
+      greenPrimary: '#FFFFFF',
+      greenAccent: '#4BE08F',
+      greenDark: '#FFFFFF',
+      barrierRed: '#FF8A80',
+      finalPurple: '#D1C4E9',
+      greyLight: '#4A6383',
+      greyMid: '#5E7698',
+      white: brand('navy', ARTWORK_NAVY),
+      background: brand('navy', ARTWORK_NAVY),
+      futureArrow: '#1565C0',
+      amber: '#FFB300',
+      finalObsGradient: ['#FFEB3B', '#F9A825', '#FFFFFF'],
+      wordmarkNavy: '#FFFFFF',
+      wordmarkGreen: '#FFFFFF'
+    })
+  }
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+/**
+ * brand_colours key behind each palette colour a theme takes from the brand,
+ * e.g. { navy: 'navy', wordmarkNavy: 'navy' } for the default theme
+ */
+export function brandSources(name) {
+  const palette = resolveTheme(name).palette((key) => ({ brandKey: key }));
+  return Object.fromEntries(Object.entries(palette)
+    .filter(([, value]) => value?.brandKey)
+    .map(([paletteKey, value]) => [paletteKey, value.brandKey]));
+}
+
+/**
+ * Theme by name; unknown or missing names fall back to the default theme
+ * Returns { name, label, planColours, palette }
+ */
+export function resolveTheme(name) {
+  const key = THEMES[name] ? name : DEFAULT_THEME;
+  return { name: key, ...THEMES[key] };
+}
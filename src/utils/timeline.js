@@ -0,0 +1,162 @@
+/**
+ * Plan timeline utilities for Autocalls.uk Dynamic Logo
+ * Date stepping and point-in-time plan state, shared by backfill and export tools
+ */
+
+import { parseDate, daysBetween, EASINGS } from './geometry.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Days between frames for each supported step
+export const FRAME_STEPS = {
+  day: 1,
+  week: 7
+};
+
+/**
+ * Format a Date as an ISO date string (YYYY-MM-DD, UTC)
+ */
+export function toISODate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * True for a real calendar date in ISO form (rejects 2025-02-30)
+ */
+export function isISODate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = parseDate(value);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Add whole days to an ISO date string
+ */
+export function addDays(dateStr, days) {
+  return toISODate(new Date(parseDate(dateStr).getTime() + days * MS_PER_DAY));
+}
+
+/**
+ * Add whole months to an ISO date, clamping to the end of shorter months
+ * (31 January + 1 month = 28/29 February)
+ */
+export function addMonths(dateStr, months) {
+  const date = parseDate(dateStr);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return toISODate(target);
+}
+
+/**
+ * Length of a plan in whole months (tenor_years may be fractional, e.g. 6.5 or 7.25)
+ */
+export function tenorMonths(data) {
+  return Math.round(Number(data.tenor_years) * 12);
+}
+
+/**
+ * Maturity date of a plan: start_date + tenor_years
+ * Matches the end of the last plan-year bar on the outer ring
+ */
+export function maturityDate(data) {
+  return addMonths(data.start_date, tenorMonths(data));
+}
+
+/**
+ * First observation after current_date, or null when none remain
+ * An observation on current_date has already been made, so the next one is what
+ * the logo's next observation arrow, its description and the centre state use
+ */
+export function nextObservation(data) {
+  return (data.observations || [])
+    .filter(obs => obs.date > data.current_date)
+    .sort((a, b) => a.date.localeCompare(b.date))[0] || null;
+}
+
+/**
+ * List frame dates from startDate to endDate inclusive
+ * step is 'day' or 'week'; the end date is always included as the final frame
+ */
+export function frameDates(startDate, endDate, step = 'day') {
+  const stepDays = FRAME_STEPS[step];
+  if (!stepDays) {
+    throw new Error(`Unknown frame step "${step}" (expected ${Object.keys(FRAME_STEPS).join(' or ')})`);
+  }
+  if (isNaN(parseDate(startDate).getTime()) || isNaN(parseDate(endDate).getTime())) {
+    throw new Error(`Invalid frame range ${startDate} → ${endDate}`);
+  }
+
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, stepDays)) {
+    dates.push(date);
+  }
+  if (dates.length > 0 && dates[dates.length - 1] !== endDate && startDate <= endDate) {
+    dates.push(endDate);
+  }
+  return dates;
+}
+
+/**
+ * Latest level on or before a date from a { date: level } map
+ * Returns null when the history has no level that early
+ */
+export function levelOnDate(levelsByDate, date) {
+  if (!levelsByDate) return null;
+  if (Number.isFinite(levelsByDate[date])) return levelsByDate[date];
+
+  let best = null;
+  for (const [day, level] of Object.entries(levelsByDate)) {
+    if (day <= date && Number.isFinite(level) && (!best || day > best.day)) {
+      best = { day, level };
+    }
+  }
+  return best ? best.level : null;
+}
+
+/**
+ * Plan data as it stood on a given date
+ * Observations after the date are not yet triggered, the call only applies from
+ * called_date, a barrier breach only from its first breach date, and the pointer
+ * follows the level history when one is supplied
+ */
+export function planAtDate(data, date, levelsByDate = null) {
+  const level = levelOnDate(levelsByDate, date);
+  const calledYet = Boolean(data.is_called) && (!data.called_date || data.called_date <= date);
+  const breach = data.barrier_breach;
+  const breachedYet = Boolean(breach?.breached) && (!breach.first_breach_date || breach.first_breach_date <= date);
+
+  return {
+    ...data,
+    current_date: date,
+    current_level: level ?? data.current_level,
+    observations: (data.observations || []).map(obs =>
+      obs.date > date ? { ...obs, triggered: false } : obs
+    ),
+    is_called: calledYet,
+    called_date: calledYet ? data.called_date : null,
+    barrier_breach: breachedYet ? data.barrier_breach : null
+  };
+}
+
+/**
+ * Sample an animation across a date range
+ * Frames are spread evenly from `from` to `to`; the date advances day by day and
+ * the level is eased between each day's level and the next, so the pointer glides
+ * when there are more frames than days. Returns [{ date, level }]
+ */
+export function animationFrames(data, { from, to, frameCount, levelsByDate = null, ease = EASINGS.linear }) {
+  const span = Math.max(0, daysBetween(from, to));
+  const levelFor = (date) => levelOnDate(levelsByDate, date) ?? data.current_level;
+
+  return Array.from({ length: frameCount }, (_, k) => {
+    const position = frameCount > 1 ? (k / (frameCount - 1)) * span : 0;
+    const dayIndex = Math.min(Math.floor(position), Math.floor(span));
+    const date = addDays(from, dayIndex);
+    const level = levelFor(date);
+    const nextLevel = dayIndex < span ? levelFor(addDays(date, 1)) : level;
+    return { date, level: level + (nextLevel - level) * ease(position - dayIndex) };
+  });
+}
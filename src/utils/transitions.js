@@ -0,0 +1,81 @@
+/**
+ * State transitions for Autocalls.uk Dynamic Logo
+ * When a plan's moving values change (index level, barrier, date, hurdles) the
+ * component tweens from the values on screen to the new ones and resolves the scene
+ * on every frame, so the "A", barrier, level arrows and plan-year bars move together
+ */
+
+import { parseDate } from './geometry.js';
+import { toISODate } from './timeline.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Used when design_tokens has no transition_seconds
+export const DEFAULT_TRANSITION_SECONDS = 0.8;
+
+/**
+ * Transition length from design_tokens.transition_seconds
+ */
+export function transitionSeconds(designTokens) {
+  const seconds = Number(designTokens?.transition_seconds);
+  return designTokens?.transition_seconds !== undefined && Number.isFinite(seconds) && seconds >= 0
+    ? seconds
+    : DEFAULT_TRANSITION_SECONDS;
+}
+
+/**
+ * The values of a plan that move between states: { level, barrier, day, hurdles }
+ * day is current_date in days since 1970-01-01
+ */
+export function transitionValues(data) {
+  return {
+    level: Number(data.current_level),
+    barrier: Number(data.barrier_percent),
+    day: parseDate(data.current_date).getTime() / MS_PER_DAY,
+    hurdles: (data.observations || []).map(obs => Number(obs.hurdle_percent))
+  };
+}
+
+/**
+ * True when two sets of transition values match (NaN matches NaN)
+ */
+export function sameTransitionValues(a, b) {
+  const same = (x, y) => Object.is(x, y) || x === y;
+  return same(a.level, b.level)
+    && same(a.barrier, b.barrier)
+    && same(a.day, b.day)
+    && a.hurdles.length === b.hurdles.length
+    && a.hurdles.every((hurdle, i) => same(hurdle, b.hurdles[i]));
+}
+
+/**
+ * Values part-way (t = 0..1) from one state to another
+ * A value that is not a number at either end, or a hurdle list whose length
+ * changed, jumps straight to the target
+ */
+export function interpolateTransition(from, to, t) {
+  const lerp = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? a + (b - a) * t : b);
+  return {
+    level: lerp(from.level, to.level),
+    barrier: lerp(from.barrier, to.barrier),
+    day: lerp(from.day, to.day),
+    hurdles: from.hurdles.length === to.hurdles.length
+      ? to.hurdles.map((hurdle, i) => lerp(from.hurdles[i], hurdle))
+      : to.hurdles
+  };
+}
+
+/**
+ * Plan data showing a set of transition values; the date moves in whole days
+ */
+export function applyTransitionValues(data, values) {
+  return {
+    ...data,
+    current_level: Number.isFinite(values.level) ? values.level : data.current_level,
+    barrier_percent: Number.isFinite(values.barrier) ? values.barrier : data.barrier_percent,
+    current_date: Number.isFinite(values.day) ? toISODate(new Date(Math.round(values.day) * MS_PER_DAY)) : data.current_date,
+    observations: (data.observations || []).map((obs, i) => (
+      Number.isFinite(values.hurdles[i]) ? { ...obs, hurdle_percent: values.hurdles[i] } : obs
+    ))
+  };
+}
@@ -0,0 +1,323 @@
+/**
+ * Plan data validation for Autocalls.uk Dynamic Logo
+ * PLAN_SCHEMA describes every field of the plan model; validatePlan checks a plan
+ * against it plus the cross-field rules and reports each problem with the path of
+ * the offending field (e.g. "observations[2].date"), so the validate CLI and the
+ * App's inline field errors share one set of rules
+ */
+
+import { EASINGS, POINTER_CURVE_MODES } from './geometry.js';
+import { maturityDate, isISODate } from './timeline.js';
+import { BARRIER_MODES } from './barrier.js';
+import { CENTRE_STATES } from './centreState.js';
+import { THEME_NAMES } from './themes.js';
+import { LOCALES } from './locale.js';
+
+// Brand colour keys used by the logo palette
+const BRAND_COLOUR_KEYS = [
+  'navy',
+  'green_primary',
+  'green_accent',
+  'barrier_red',
+  'final_hurdle_purple',
+  'grey_light',
+  'grey_mid'
+];
+
+/**
+ * Field rules for the plan model
+ * type: string | number | boolean | date (YYYY-MM-DD) | time (HH:MM) | hex (#rgb / #rrggbb)
+ *       | enum | array (items: rules per item field) | object (fields: rules per key)
+ * number rules: wholeMonths (years given to the month), min, max, exclusiveMin
+ * required fields must be present; nullable fields may be null
+ */
+export const PLAN_SCHEMA = {
+  plan_name: { type: 'string', required: true, minLength: 1 },
+  tenor_years: { type: 'number', required: true, wholeMonths: true, min: 1, max: 15 },
+  start_date: { type: 'date', required: true },
+  current_date: { type: 'date', required: true },
+  market_close_time_gmt: { type: 'time' },
+  initial_strike_level: { type: 'number', required: true, exclusiveMin: 0 },
+  current_level: { type: 'number', required: true, exclusiveMin: 0 },
+  barrier_percent: { type: 'number', required: true, min: -50, max: -30 },
+  barrier_monitoring: { type: 'enum', values: BARRIER_MODES },
+  barrier_breach: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      breached: { type: 'boolean', required: true },
+      first_breach_date: { type: 'date', nullable: true },
+      lowest_level: { type: 'number', nullable: true, exclusiveMin: 0 },
+      lowest_date: { type: 'date', nullable: true }
+    }
+  },
+  observations: {
+    type: 'array',
+    required: true,
+    items: {
+      date: { type: 'date', required: true },
+      hurdle_percent: { type: 'number', required: true, min: 50, max: 150 },
+      triggered: { type: 'boolean' }
+    }
+  },
+  circle_fill: { type: 'hex' }, // superseded by centre_state, still accepted
+  centre_state: { type: 'enum', values: CENTRE_STATES, nullable: true },
+  bottom_arrow_state: { type: 'string', nullable: true },
+  bottom_arrow_color: { type: 'hex', nullable: true },
+  bottom_arrow_target: { type: 'number', min: 0, max: 360 },
+  counterparty: { type: 'string' },
+  is_called: { type: 'boolean' },
+  called_date: { type: 'date', nullable: true },
+  theme: { type: 'enum', values: THEME_NAMES, nullable: true },
+  locale: { type: 'enum', values: LOCALES, nullable: true },
+  brand_colours: {
+    type: 'object',
+    fields: Object.fromEntries(BRAND_COLOUR_KEYS.map(key => [key, { type: 'hex' }]))
+  },
+  design_tokens: {
+    type: 'object',
+    fields: {
+      gap_angle_deg: { type: 'number', min: 0, max: 10 },
+      tick_stroke_width: { type: 'number', min: 0, max: 10 },
+      segment_outline_width: { type: 'number', min: 0, max: 10 },
+      radial_offset_px: { type: 'number', min: 0, max: 40 },
+      angular_jitter_deg: { type: 'number', min: 0, max: 10 },
+      centre_red_buffer_pct: { type: 'number', min: 0, max: 100 },
+      centre_amber_margin_pct: { type: 'number', min: 0, max: 100 },
+      pointer_ease: { type: 'enum', values: Object.keys(EASINGS) },
+      transition_seconds: { type: 'number', min: 0, max: 10 },
+      pointer_curve: {
+        type: 'object',
+        fields: {
+          anchors: {
+            type: 'array',
+            items: {
+              performance: { type: 'number', required: true, min: -100, max: 100 },
+              angle: { type: 'number', required: true, min: -180, max: 180 }
+            }
+          },
+          mode: { type: 'enum', values: POINTER_CURVE_MODES },
+          clamp: {
+            type: 'object',
+            fields: {
+              min: { type: 'number', min: -100, max: 100 },
+              max: { type: 'number', min: -100, max: 100 }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HEX_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+const describe = (value) => {
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'number' || value === undefined) return String(value);
+  return JSON.stringify(value);
+};
+
+/**
+ * Check one value against its rule; returns an error message or null
+ */
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `must be text (got ${describe(value)})`;
+      if (rule.minLength && value.trim().length < rule.minLength) return 'must not be empty';
+      return null;
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number (got ${describe(value)})`;
+      if (rule.wholeMonths && Math.abs(value * 12 - Math.round(value * 12)) > 1e-9) {
+        return `must be a whole number of months, e.g. 6.5 or 7.25 (got ${value})`;
+      }
+      if (rule.min !== undefined && rule.max !== undefined && (value < rule.min || value > rule.max)) {
+        return `must be between ${rule.min} and ${rule.max} (got ${value})`;
+      }
+      if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min} (got ${value})`;
+      if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max} (got ${value})`;
+      if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) return `must be greater than ${rule.exclusiveMin} (got ${value})`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false (got ${describe(value)})`;
+    case 'date':
+      return isISODate(value) ? null : `must be a valid date in YYYY-MM-DD form (got ${describe(value)})`;
+    case 'time':
+      return typeof value === 'string' && TIME_PATTERN.test(value) ? null : `must be a 24-hour time in HH:MM form (got ${describe(value)})`;
+    case 'hex':
+      return typeof value === 'string' && HEX_PATTERN.test(value) ? null : `must be a hex colour like #0A255A (got ${describe(value)})`;
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')} (got ${describe(value)})`;
+    case 'array':
+      return Array.isArray(value) ? null : `must be a list (got ${describe(value)})`;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : `must be an object (got ${describe(value)})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check the fields of an object against a set of rules, recursing into arrays and objects
+ */
+function checkFields(obj, rules, prefix, errors) {
+  for (const [key, rule] of Object.entries(rules)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+
+    if (value === undefined) {
+      if (rule.required) errors.push({ path, message: `${path} is required` });
+      continue;
+    }
+    if (value === null && (rule.nullable || !rule.required)) continue;
+
+    const message = checkValue(value, rule);
+    if (message) {
+      errors.push({ path, message: `${path} ${message}` });
+      continue;
+    }
+
+    if (rule.type === 'array' && rule.items) {
+      value.forEach((item, i) => {
+        const itemPath = `${path}[${i}]`;
+        const itemMessage = checkValue(item, { type: 'object' });
+        if (itemMessage) {
+          errors.push({ path: itemPath, message: `${itemPath} ${itemMessage}` });
+        } else {
+          checkFields(item, rule.items, itemPath, errors);
+        }
+      });
+    }
+    if (rule.type === 'object' && rule.fields) {
+      checkFields(value, rule.fields, path, errors);
+    }
+  }
+}
+
+/**
+ * Pointer curve rules: at least two anchors in strictly ascending performance whose
+ * angles never turn back, and a clamp range with min below max
+ */
+function checkPointerCurve(curve, failed, errors) {
+  const path = 'design_tokens.pointer_curve';
+  if (!curve || failed.has('design_tokens') || failed.has(path)) return;
+
+  const anchors = curve.anchors;
+  if (Array.isArray(anchors) && !failed.has(`${path}.anchors`)
+    && !anchors.some((_, i) => [`${path}.anchors[${i}]`, `${path}.anchors[${i}].performance`, `${path}.anchors[${i}].angle`].some(p => failed.has(p)))) {
+    if (anchors.length < 2) {
+      errors.push({ path: `${path}.anchors`, message: `${path}.anchors needs at least two anchors` });
+    }
+    anchors.forEach((anchor, i) => {
+      if (i === 0) return;
+      const prev = anchors[i - 1];
+      if (anchor.performance <= prev.performance) {
+        errors.push({
+          path: `${path}.anchors[${i}].performance`,
+          message: `${path}.anchors[${i}].performance ${anchor.performance} must be above the previous anchor's ${prev.performance}`
+        });
+      } else if (anchor.angle < prev.angle) {
+        errors.push({
+          path: `${path}.anchors[${i}].angle`,
+          message: `${path}.anchors[${i}].angle ${anchor.angle} must not be below the previous anchor's ${prev.angle}`
+        });
+      }
+    });
+  }
+
+  const clamp = curve.clamp;
+  if (clamp && !failed.has(`${path}.clamp`) && !failed.has(`${path}.clamp.min`) && !failed.has(`${path}.clamp.max`)
+    && Number.isFinite(clamp.min) && Number.isFinite(clamp.max) && clamp.min >= clamp.max) {
+    errors.push({ path: `${path}.clamp.max`, message: `${path}.clamp.max ${clamp.max} must be above clamp.min ${clamp.min}` });
+  }
+}
+
+/**
+ * Rules that relate fields to each other; only run on fields that passed their own checks
+ */
+function checkCrossFields(data, errors) {
+  const failed = new Set(errors.map(error => error.path));
+  const ok = (path) => data[path] !== undefined && data[path] !== null && !failed.has(path);
+
+  if (ok('start_date') && ok('current_date') && data.current_date < data.start_date) {
+    errors.push({ path: 'current_date', message: `current_date must be on or after start_date (${data.start_date})` });
+  }
+
+  const observations = ok('observations') ? data.observations : [];
+  const validObs = observations
+    .map((obs, i) => ({ obs, i }))
+    .filter(({ i }) => !failed.has(`observations[${i}]`) && !failed.has(`observations[${i}].date`));
+
+  if (ok('start_date') && ok('tenor_years')) {
+    const maturity = maturityDate(data);
+    validObs.forEach(({ obs, i }) => {
+      if (obs.date <= data.start_date || obs.date > maturity) {
+        errors.push({
+          path: `observations[${i}].date`,
+          message: `observations[${i}].date ${obs.date} is outside the tenor (after ${data.start_date}, up to ${maturity})`
+        });
+      }
+    });
+  }
+
+  const seen = new Map();
+  validObs.forEach(({ obs, i }) => {
+    if (seen.has(obs.date)) {
+      errors.push({ path: `observations[${i}].date`, message: `observations[${i}].date ${obs.date} repeats observations[${seen.get(obs.date)}]` });
+    } else {
+      seen.set(obs.date, i);
+    }
+  });
+
+  const breach = ok('barrier_breach') ? data.barrier_breach : null;
+  if (breach?.breached && !breach.first_breach_date && !failed.has('barrier_breach.first_breach_date')) {
+    errors.push({ path: 'barrier_breach.first_breach_date', message: 'barrier_breach.first_breach_date is required when breached is true' });
+  } else if (breach?.first_breach_date && !failed.has('barrier_breach.first_breach_date') && ok('start_date') && ok('current_date')
+    && (breach.first_breach_date <= data.start_date || breach.first_breach_date > data.current_date)) {
+    errors.push({
+      path: 'barrier_breach.first_breach_date',
+      message: `barrier_breach.first_breach_date ${breach.first_breach_date} must be after start_date and no later than current_date`
+    });
+  }
+
+  checkPointerCurve(data.design_tokens?.pointer_curve, failed, errors);
+
+  if (ok('called_date')) {
+    if (data.is_called !== true) {
+      errors.push({ path: 'called_date', message: 'called_date is set but is_called is not true' });
+    } else if (!validObs.some(({ obs }) => obs.date === data.called_date && obs.triggered === true)) {
+      errors.push({ path: 'called_date', message: `called_date ${data.called_date} does not match a triggered observation` });
+    }
+  } else if (data.is_called === true && !failed.has('called_date')) {
+    errors.push({ path: 'called_date', message: 'called_date is required when is_called is true' });
+  }
+}
+
+/**
+ * Validate a plan
+ * Returns { valid, errors: [{ path, message }] }; field errors come first, then cross-field ones
+ */
+export function validatePlan(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: [{ path: '', message: 'Plan must be a JSON object' }] };
+  }
+
+  const errors = [];
+  checkFields(data, PLAN_SCHEMA, '', errors);
+  checkCrossFields(data, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Index errors by field path (first message per path) for inline display
+ */
+export function errorsByPath(errors) {
+  const byPath = {};
+  errors.forEach(({ path, message }) => {
+    if (!(path in byPath)) byPath[path] = message;
+  });
+  return byPath;
+}
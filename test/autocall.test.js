@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAutocall, applyAutocall } from '../src/utils/autocall.js';
+
+const plan = (overrides = {}) => ({
+  initial_strike_level: 1000,
+  current_date: '2027-06-30',
+  observations: [
+    { date: '2026-01-02', hurdle_percent: 100, triggered: false },
+    { date: '2027-01-04', hurdle_percent: 95, triggered: false },
+    { date: '2028-01-04', hurdle_percent: 90, triggered: false }
+  ],
+  is_called: false,
+  called_date: null,
+  ...overrides
+});
+
+const rows = (closes) => Object.entries(closes).map(([date, close]) => ({ date, time: null, close, low: null }));
+
+test('calls on the first observation at or above its hurdle', () => {
+  const evaluation = evaluateAutocall(plan(), rows({ '2026-01-02': 990, '2027-01-04': 950 }));
+  assert.equal(evaluation.is_called, true);
+  assert.equal(evaluation.called_date, '2027-01-04');
+  assert.deepEqual(evaluation.observations.map(obs => obs.triggered), [false, true, false]);
+  assert.deepEqual(evaluation.trail.map(entry => entry.status), ['below', 'triggered', 'not-observed']);
+  assert.equal(evaluation.trail[1].message, '2027-01-04: close 950 ≥ 1000 × 95% = 950, plan called');
+});
+
+test('leaves observations after current_date pending', () => {
+  const evaluation = evaluateAutocall(plan({ current_date: '2026-06-30' }), rows({ '2026-01-02': 990 }));
+  assert.equal(evaluation.is_called, false);
+  assert.deepEqual(evaluation.trail.map(entry => entry.status), ['below', 'pending', 'pending']);
+});
+
+test('evaluates observations in date order whatever the plan order', () => {
+  const data = plan();
+  data.observations.reverse();
+  const evaluation = evaluateAutocall(data, rows({ '2026-01-02': 1000, '2027-01-04': 2000 }));
+  assert.equal(evaluation.called_date, '2026-01-02');
+  assert.deepEqual(evaluation.trail.map(entry => entry.index), [2, 1, 0]);
+  assert.deepEqual(evaluation.observations.map(obs => obs.triggered), [false, false, true]);
+});
+
+test('cannot evaluate an observation without a close that day', () => {
+  const data = plan();
+  data.observations[0].triggered = true;
+  const evaluation = evaluateAutocall(data, rows({ '2026-01-05': 2000 }));
+  assert.equal(evaluation.trail[0].status, 'no-close');
+  assert.deepEqual(evaluation.conflicts.map(conflict => conflict.path), ['observations[0].triggered']);
+  assert.match(evaluation.conflicts[0].message, /cannot confirm it \(no close that day\)/);
+});
+
+test('reports manual flags that disagree with the engine', () => {
+  const evaluation = evaluateAutocall(
+    plan({ is_called: true, called_date: '2027-01-04' }),
+    rows({ '2026-01-02': 1200 })
+  );
+  assert.deepEqual(evaluation.conflicts.map(conflict => conflict.path), ['observations[0].triggered', 'called_date']);
+
+  const uncalled = evaluateAutocall(plan({ is_called: true }), rows({ '2026-01-02': 900, '2027-01-04': 900 }));
+  assert.deepEqual(uncalled.conflicts.map(conflict => conflict.path), ['is_called']);
+});
+
+test('applies the verdict to the plan', () => {
+  const data = plan();
+  const applied = applyAutocall(data, evaluateAutocall(data, rows({ '2026-01-02': 1000 })));
+  assert.equal(applied.is_called, true);
+  assert.equal(applied.called_date, '2026-01-02');
+  assert.equal(applied.observations[0].triggered, true);
+  assert.equal(data.observations[0].triggered, false);
+});
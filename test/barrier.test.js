@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { barrierLevel, monitorBarrier, applyBarrier } from '../src/utils/barrier.js';
+
+// Barrier at 700 (1000 × (1 − 30%)); the final observation is 2027-01-04
+const plan = (overrides = {}) => ({
+  start_date: '2025-01-02',
+  current_date: '2027-01-04',
+  tenor_years: 2,
+  initial_strike_level: 1000,
+  barrier_percent: -30,
+  observations: [
+    { date: '2026-01-02', hurdle_percent: 100 },
+    { date: '2027-01-04', hurdle_percent: 100 }
+  ],
+  ...overrides
+});
+
+const prints = [
+  { date: '2025-01-02', time: null, close: 600, low: null },
+  { date: '2025-06-02', time: null, close: 800, low: 650 },
+  { date: '2025-09-01', time: null, close: 690, low: null },
+  { date: '2026-03-02', time: null, close: 720, low: null },
+  { date: '2027-01-04', time: null, close: 700, low: null },
+  { date: '2027-02-01', time: null, close: 500, low: null }
+];
+
+test('places the barrier relative to the initial strike', () => {
+  assert.equal(barrierLevel(plan()), 700);
+  assert.equal(barrierLevel(plan({ barrier_percent: '-50' })), 500);
+});
+
+test('european monitoring only looks at the final observation close, touching counts', () => {
+  const result = monitorBarrier(plan(), prints);
+  assert.deepEqual(result, {
+    mode: 'european',
+    level: 700,
+    breached: true,
+    first_breach_date: '2027-01-04',
+    lowest_level: 700,
+    lowest_date: '2027-01-04'
+  });
+  // Before the final observation nothing has been monitored
+  assert.deepEqual(monitorBarrier(plan({ current_date: '2026-12-31' }), prints).lowest_level, null);
+});
+
+test('american monitoring checks every close after start_date up to current_date', () => {
+  const result = monitorBarrier(plan({ barrier_monitoring: 'american' }), prints);
+  assert.equal(result.first_breach_date, '2025-09-01');
+  assert.equal(result.lowest_level, 690);
+});
+
+test('intraday monitoring uses each print and its low', () => {
+  const result = monitorBarrier(plan(), prints, 'intraday');
+  assert.equal(result.first_breach_date, '2025-06-02');
+  assert.deepEqual([result.lowest_level, result.lowest_date], [650, '2025-06-02']);
+});
+
+test('an intact barrier still reports the lowest level', () => {
+  const result = monitorBarrier(plan({ barrier_percent: -40 }), prints, 'american');
+  assert.equal(result.breached, false);
+  assert.equal(result.first_breach_date, null);
+  assert.deepEqual([result.lowest_level, result.lowest_date], [690, '2025-09-01']);
+});
+
+test('rejects an unknown monitoring mode', () => {
+  assert.throws(() => monitorBarrier(plan(), prints, 'asian'), /Unknown barrier monitoring "asian"/);
+});
+
+test('records the result on the plan', () => {
+  const applied = applyBarrier(plan(), monitorBarrier(plan(), prints, 'american'));
+  assert.equal(applied.barrier_monitoring, 'american');
+  assert.deepEqual(applied.barrier_breach, {
+    breached: true, first_breach_date: '2025-09-01', lowest_level: 690, lowest_date: '2025-09-01'
+  });
+});
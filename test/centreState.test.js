@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCentreState } from '../src/utils/centreState.js';
+
+// Strike 1000, barrier −30%, next hurdle 100% on 2027-01-04
+const plan = (overrides = {}) => ({
+  initial_strike_level: 1000,
+  current_level: 1120,
+  current_date: '2026-06-30',
+  barrier_percent: -30,
+  observations: [
+    { date: '2026-01-02', hurdle_percent: 105 },
+    { date: '2027-01-04', hurdle_percent: 100 },
+    { date: '2028-01-04', hurdle_percent: 90 }
+  ],
+  ...overrides
+});
+
+test('honours a supplied centre_state', () => {
+  assert.deepEqual(resolveCentreState(plan({ centre_state: 'Amber' })), {
+    state: 'Amber', rule: 'supplied', reason: 'centre_state is Amber'
+  });
+});
+
+test('a called plan is Green ahead of a breach', () => {
+  const result = resolveCentreState(plan({
+    is_called: true,
+    called_date: '2026-01-02',
+    barrier_breach: { breached: true, first_breach_date: '2025-06-02' }
+  }));
+  assert.deepEqual([result.state, result.rule, result.reason], ['Green', 'called', 'called on 2026-01-02']);
+});
+
+test('a recorded breach is Red', () => {
+  const result = resolveCentreState(plan({ barrier_breach: { breached: true, first_breach_date: '2025-06-02' } }));
+  assert.deepEqual([result.state, result.rule], ['Red', 'barrier-breached']);
+});
+
+test('is Red within the buffer above the barrier, edge included', () => {
+  const result = resolveCentreState(plan({ current_level: 800 }));
+  assert.deepEqual([result.state, result.rule], ['Red', 'near-barrier']);
+  assert.equal(result.reason, '-20.0% is 10.0 points above the -30% barrier (red within 10)');
+  assert.equal(resolveCentreState(plan({ current_level: 801 })).rule, 'below-hurdle');
+  assert.equal(resolveCentreState(plan({ current_level: 801, design_tokens: { centre_red_buffer_pct: 15 } })).state, 'Red');
+});
+
+test('measures against the next hurdle with levels on the same basis', () => {
+  const below = resolveCentreState(plan({ current_level: 950 }));
+  assert.deepEqual([below.state, below.rule], ['Amber', 'below-hurdle']);
+  assert.equal(below.reason, '95.0% of strike is 5.0 points below the 100% hurdle on 2027-01-04');
+
+  const above = resolveCentreState(plan());
+  assert.deepEqual([above.state, above.rule], ['Green', 'at-or-above-hurdle']);
+  assert.equal(above.reason, '112.0% of strike is at or above the 100% hurdle on 2027-01-04');
+
+  const withinMargin = resolveCentreState(plan({ current_level: 980, design_tokens: { centre_amber_margin_pct: 5 } }));
+  assert.equal(withinMargin.state, 'Green');
+  assert.equal(withinMargin.reason, '98.0% of strike is within 5 points of the 100% hurdle on 2027-01-04');
+});
+
+test('measures against the observation after current_date, and falls back to the last', () => {
+  assert.match(resolveCentreState(plan({ current_date: '2027-01-04', current_level: 1000 })).reason, /90% hurdle on 2028-01-04/);
+  assert.match(resolveCentreState(plan({ current_date: '2029-01-01', current_level: 880 })).reason, /90% hurdle on 2028-01-04/);
+  assert.equal(resolveCentreState(plan({ observations: [] })).reason, 'no hurdle to measure against');
+});
+
+test('ignores non-numeric threshold tokens', () => {
+  assert.equal(resolveCentreState(plan({ current_level: 800, design_tokens: { centre_red_buffer_pct: 'wide' } })).state, 'Red');
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { avoidCollision, normalizeAngle } from '../src/utils/geometry.js';
+
+test('leaves a clear indicator where it is', () => {
+  assert.deepEqual(avoidCollision(30, [{ angle: 40 }]), { angle: 30, radialOffset: 0 });
+  assert.deepEqual(avoidCollision(30, []), { angle: 30, radialOffset: 0 });
+});
+
+test('moves a colliding indicator off the ring first', () => {
+  assert.deepEqual(avoidCollision(30, [{ angle: 32 }]), { angle: 30, radialOffset: 6 });
+});
+
+test('detects collisions across the ±180° seam', () => {
+  assert.deepEqual(avoidCollision(179, [{ angle: -179 }]), { angle: 179, radialOffset: 6 });
+});
+
+test('uses each indicator half-width', () => {
+  assert.deepEqual(avoidCollision(30, [{ angle: 36, halfWidth: 4 }], 6, 2, { halfWidth: 3 }), { angle: 30, radialOffset: 6 });
+  assert.deepEqual(avoidCollision(30, [{ angle: 36, halfWidth: 2 }], 6, 2, { halfWidth: 3 }), { angle: 30, radialOffset: 0 });
+});
+
+test('steps away from the nearest blocker when the offset slot is taken', () => {
+  const placed = [{ angle: 32 }, { angle: 31, radialOffset: 6 }];
+  assert.deepEqual(avoidCollision(30, placed), { angle: 26, radialOffset: 0 });
+  assert.deepEqual(avoidCollision(34, placed), { angle: 38, radialOffset: 0 });
+});
+
+test('anchored indicators only step further out', () => {
+  const placed = [{ angle: 32 }, { angle: 30, radialOffset: 6 }];
+  assert.deepEqual(avoidCollision(30, placed, 6, 2, { anchored: true }), { angle: 30, radialOffset: 12 });
+  assert.deepEqual(avoidCollision(30, placed, 6, 0), { angle: 30, radialOffset: 12 });
+});
+
+test('does nothing when both offset and jitter are zero', () => {
+  assert.deepEqual(avoidCollision(30, [{ angle: 30 }], 0, 0), { angle: 30, radialOffset: 0 });
+});
+
+test('gives up after a bounded number of steps', () => {
+  const wall = Array.from({ length: 40 }, (_, i) => ({ angle: i - 20 }));
+  const result = avoidCollision(0, [...wall, { angle: 0, radialOffset: 6 }]);
+  assert.equal(result.radialOffset, 0);
+  assert.ok(Math.abs(result.angle) <= 16);
+});
+
+test('normalises angles to ±180°', () => {
+  assert.equal(normalizeAngle(190), -170);
+  assert.equal(normalizeAngle(-530), -170);
+  assert.equal(normalizeAngle(720), 0);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { auditContrast, describeContrastFailure, MIN_CONTRAST } from '../src/utils/contrast.js';
+import { contrastRatio, nearestPassingShade } from '../src/utils/color.js';
+import { THEME_NAMES } from '../src/utils/themes.js';
+
+const samplePlan = () => JSON.parse(fs.readFileSync(new URL('../input.json', import.meta.url), 'utf8'));
+
+test('passes the sample plan in every theme', () => {
+  THEME_NAMES.forEach(theme => {
+    const audit = auditContrast(samplePlan(), { theme });
+    assert.equal(audit.theme, theme);
+    assert.equal(audit.passed, true, `${theme}: ${audit.failures.map(describeContrastFailure).join('; ')}`);
+  });
+});
+
+test('flags a pale bottom arrow and suggests the nearest passing shade', () => {
+  const { passed, failures } = auditContrast({ ...samplePlan(), bottom_arrow_color: '#cccccc' });
+  assert.equal(passed, false);
+  assert.equal(failures.length, 1);
+
+  const [failure] = failures;
+  assert.equal(failure.id, 'bottom-arrow');
+  assert.deepEqual(failure.fields, ['bottom_arrow_color']);
+  assert.equal(failure.suggestion.field, 'bottom_arrow_color');
+  assert.ok(contrastRatio(failure.suggestion.color, failure.background) >= MIN_CONTRAST);
+});
+
+test('points a brand colour failure at its brand_colours field', () => {
+  const data = samplePlan();
+  data.brand_colours = { ...data.brand_colours, navy: '#B0C4DE' };
+  const failure = auditContrast(data).failures.find(check => check.id === 'counterparty');
+  assert.ok(failure);
+  assert.equal(failure.suggestion.field, 'brand_colours.navy');
+});
+
+test('measures contrast ratios and nearest passing shades', () => {
+  assert.equal(contrastRatio('#000000', '#FFFFFF'), 21);
+  assert.equal(contrastRatio('#123456', '#123456'), 1);
+  assert.equal(contrastRatio('not a colour', '#FFFFFF'), null);
+
+  assert.equal(nearestPassingShade('#000000', '#FFFFFF', MIN_CONTRAST), '#000000');
+  assert.equal(nearestPassingShade('#cccccc', '#FFFFFF', MIN_CONTRAST), '#757575');
+  assert.equal(nearestPassingShade('not a colour', '#FFFFFF', MIN_CONTRAST), null);
+});
+
+test('describes a failure with its ratio and fix', () => {
+  const [failure] = auditContrast({ ...samplePlan(), bottom_arrow_color: '#cccccc' }).failures;
+  assert.equal(
+    describeContrastFailure(failure),
+    'Bottom arrow on the background: #cccccc on #FFFFFF is 1.61:1, below 4.5:1; nearest passing shade #757575'
+  );
+  assert.match(describeContrastFailure({ ...failure, ratio: null, suggestion: null }), /is unreadable colours, below 4\.5:1$/);
+});
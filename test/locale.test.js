@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  MESSAGES,
+  resolveLocale,
+  translate,
+  formatDate,
+  formatNumber,
+  formatPercent
+} from '../src/utils/locale.js';
+import { describePlan } from '../src/utils/description.js';
+
+const samplePlan = () => JSON.parse(fs.readFileSync(new URL('../input.json', import.meta.url), 'utf8'));
+
+// Intl spacing: no-break space before %, narrow no-break space between French thousands
+const NBSP = '\u00A0';
+const NNBSP = '\u202F';
+
+test('falls back to the default locale for unknown tags', () => {
+  assert.equal(resolveLocale('de-DE'), 'de-DE');
+  assert.equal(resolveLocale('xx-XX'), DEFAULT_LOCALE);
+  assert.equal(resolveLocale(undefined), DEFAULT_LOCALE);
+});
+
+test('gives every locale the default locale\'s messages', () => {
+  const keys = Object.keys(MESSAGES[DEFAULT_LOCALE]);
+  LOCALES.forEach(locale => {
+    assert.deepEqual(Object.keys(MESSAGES[locale]).filter(key => !keys.includes(key)), [], locale);
+    assert.deepEqual(keys.filter(key => !(key in MESSAGES[locale])), [], locale);
+  });
+});
+
+test('fills placeholders and falls back to the default message, then the key', () => {
+  assert.equal(translate('en-GB', 'called', { date: '2 Jan 2026' }), 'Called: 2 Jan 2026');
+  assert.equal(translate('de-DE', 'yearLabel', { year: 3 }), 'J3');
+  assert.equal(translate('xx-XX', 'yearLabel', { year: 3 }), 'Y3');
+  assert.equal(translate('en-GB', 'called'), 'Called: {date}');
+  assert.equal(translate('en-GB', 'noSuchMessage'), 'noSuchMessage');
+});
+
+test('formats dates as UTC calendar days', () => {
+  assert.equal(formatDate('2026-01-02', 'en-GB'), '2 Jan 2026');
+  assert.equal(formatDate('2026-01-02', 'de-DE'), '2. Jan. 2026');
+  assert.equal(formatDate('2026-01-02', 'fr-FR'), '2 janv. 2026');
+  assert.equal(formatDate('soon', 'en-GB'), 'soon');
+});
+
+test('formats numbers and percents per locale', () => {
+  assert.equal(formatNumber(1234.5, 'en-GB'), '1,234.5');
+  assert.equal(formatNumber(1234.5, 'de-DE'), '1.234,5');
+  assert.equal(formatNumber(1234.5, 'fr-FR'), `1${NNBSP}234,5`);
+  assert.equal(formatNumber(7, 'en-GB', { digits: 1 }), '7.0');
+
+  assert.equal(formatPercent(12.5, 'en-GB', { digits: 1, signed: true }), '+12.5%');
+  assert.equal(formatPercent(12.5, 'de-DE', { digits: 1, signed: true }), `+12,5${NBSP}%`);
+  assert.equal(formatPercent(-3, 'fr-FR'), `-3${NBSP}%`);
+  assert.equal(formatPercent(0, 'en-GB', { signed: true }), '0%');
+});
+
+test('describes a plan in the chosen locale', () => {
+  const english = describePlan(samplePlan(), 'en-GB');
+  assert.equal(english.title, 'Mariana 10:10 – FTSE - Dynamic Logo showing +12.0% performance');
+  assert.ok(english.text.startsWith('Mariana 10:10 – FTSE (Morgan Stanley) as of 24 Jan 2026.'));
+  assert.deepEqual(english.facts[0], { label: 'Plan', value: 'Mariana 10:10 – FTSE' });
+
+  const german = describePlan(samplePlan(), 'de-DE');
+  assert.equal(german.title, `Mariana 10:10 – FTSE - Dynamisches Logo mit einer Wertentwicklung von +12,0${NBSP}%`);
+  assert.ok(german.text.startsWith('Mariana 10:10 – FTSE (Morgan Stanley), Stand 24. Jan. 2026.'));
+  assert.equal(german.facts.length, english.facts.length);
+  assert.equal(german.facts[0].label, 'Produkt');
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildScene } from '../src/utils/scene.js';
+import { buildMotionCSS, motionClasses } from '../src/utils/motion.js';
+
+const samplePlan = () => JSON.parse(fs.readFileSync(new URL('../input.json', import.meta.url), 'utf8'));
+
+// Class and keyframe names a stylesheet defines
+const cssNames = (css) => new Set([...css.matchAll(/(?:^|[{},])\.([\w-]+)|@keyframes ([\w-]+)/gm)].map(match => match[1] || match[2]));
+
+test('keeps the unprefixed class names by default', () => {
+  assert.deepEqual(motionClasses(), {
+    blueRing: 'al-blue-ring',
+    pointerSweep: 'al-pointer-sweep',
+    arrowCounter: 'al-arrow-counter'
+  });
+});
+
+test('namespaces classes and keyframes so two logos can share a page', () => {
+  const gaining = buildMotionCSS(buildScene(samplePlan(), { idPrefix: 'logoA' }), { idPrefix: 'logoA' });
+  const losing = buildMotionCSS(buildScene({ ...samplePlan(), current_level: 6000 }, { idPrefix: 'logoB' }), { idPrefix: 'logoB' });
+
+  const gainingNames = cssNames(gaining);
+  const losingNames = cssNames(losing);
+  assert.deepEqual([...gainingNames].sort(), Object.values(motionClasses('logoA')).sort());
+  assert.deepEqual([...losingNames].sort(), Object.values(motionClasses('logoB')).sort());
+  assert.deepEqual([...gainingNames].filter(name => losingNames.has(name)), []);
+});
+
+test('leaves the sweep out when the pointer rests at 12 o\'clock', () => {
+  const data = samplePlan();
+  const css = buildMotionCSS(buildScene({ ...data, current_level: data.initial_strike_level }));
+  assert.match(css, /@keyframes al-blue-ring\{/);
+  assert.doesNotMatch(css, /@keyframes al-pointer-sweep|@keyframes al-arrow-counter/);
+});
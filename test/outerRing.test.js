@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildScene } from '../src/utils/scene.js';
+import { maturityDate, tenorMonths } from '../src/utils/timeline.js';
+
+const samplePlan = () => JSON.parse(fs.readFileSync(new URL('../input.json', import.meta.url), 'utf8'));
+
+// Plan starting 2025-01-02 with a 3° gap, observed on its start date unless given
+const ring = (overrides) => buildScene({ ...samplePlan(), current_date: '2025-01-02', observations: [], ...overrides }).outerRing;
+
+const width = (segments) => segments.reduce((sum, segment) => sum + Math.abs(segment.endAngle - segment.startAngle), 0);
+
+test('counts fractional tenors to the month', () => {
+  assert.equal(tenorMonths({ tenor_years: 7.25 }), 87);
+  assert.equal(maturityDate({ start_date: '2025-01-31', tenor_years: 6.5 }), '2031-07-31');
+  assert.equal(maturityDate({ start_date: '2024-08-31', tenor_years: 0.5 }), '2025-02-28');
+});
+
+test('gives a partial final year a proportionally shorter bar', () => {
+  const { stats, yearLabels, segments } = ring({ tenor_years: 6.5 });
+  assert.equal(stats.planYears, 7);
+  assert.equal(stats.endDate, '2031-07-02');
+  assert.equal(stats.barArc, 33);
+  assert.deepEqual(yearLabels.map(label => label.label), ['Y1', 'Y2', 'Y3', 'Y4', 'Y5', 'Y6', 'Y7']);
+  assert.equal(yearLabels[6].actualDays, 181);
+
+  const finalBar = width(segments.filter(segment => segment.yearIndex === 6));
+  assert.ok(Math.abs(finalBar - 33 * 181 / 365) < 0.01, `final bar is ${finalBar}°`);
+  assert.ok(Math.abs(width(segments.filter(segment => segment.yearIndex === 5)) - 33) < 1e-9);
+});
+
+test('keeps full-size bars up to ten years and compresses longer tenors', () => {
+  assert.equal(ring({ tenor_years: 10 }).stats.compressed, false);
+
+  const { stats, yearLabels } = ring({ tenor_years: 15 });
+  assert.equal(stats.compressed, true);
+  assert.equal(stats.barArc, (360 - 15 * 3) / 15);
+  assert.equal(yearLabels.length, 15);
+});
+
+test('ends the partial final year at maturity', () => {
+  const { stats, segments } = ring({ tenor_years: 6.5, current_date: '2031-07-02' });
+  assert.equal(stats.currentPlanYearIndex, 6);
+  assert.ok(Math.abs(stats.progressInCurrentYear - 181 / 365) < 0.01);
+  assert.ok(segments.every(segment => segment.state === 'elapsed'));
+});
+
+test('rejects unusable dates and tenors', () => {
+  assert.equal(ring({ tenor_years: 0 }).valid, false);
+  assert.equal(ring({ start_date: 'soon' }).valid, false);
+});
+
+test('namespaces the final observation gradient by idPrefix', () => {
+  const scene = buildScene(samplePlan(), { idPrefix: 'logoR1' });
+  assert.equal(scene.finalObsGradient.id, 'logoR1-finalObsGradient');
+  assert.ok(scene.outerRing.triggerArrows.some(arrow => arrow.fill === 'url(#logoR1-finalObsGradient)'));
+  assert.equal(buildScene(samplePlan()).finalObsGradient.id, 'finalObsGradient');
+});
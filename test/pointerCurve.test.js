@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_POINTER_CURVE,
+  POINTER_CURVE_MODES,
+  resolvePointerCurve,
+  mapPerformanceToAngle,
+  mapHurdlePercentToAngle
+} from '../src/utils/geometry.js';
+
+const curve = (mode, overrides = {}) => ({ ...DEFAULT_POINTER_CURVE, mode, ...overrides });
+
+test('hits the brief anchors in every mode', () => {
+  POINTER_CURVE_MODES.forEach(mode => {
+    DEFAULT_POINTER_CURVE.anchors.forEach(({ performance, angle }) => {
+      assert.ok(Math.abs(mapPerformanceToAngle(performance, curve(mode)) - angle) < 1e-9, `${mode} at ${performance}%`);
+    });
+  });
+});
+
+test('interpolates linearly by default and eases within a band', () => {
+  assert.equal(mapPerformanceToAngle(10), 45);
+  assert.equal(mapPerformanceToAngle(-40), -105);
+  assert.equal(mapPerformanceToAngle(10, curve('eased')), 45);
+  assert.equal(mapPerformanceToAngle(7.5, curve('eased')), 30 + 0.125 * 30);
+});
+
+test('clamps to the clamp range and the outermost anchors', () => {
+  assert.equal(mapPerformanceToAngle(80), 120);
+  assert.equal(mapPerformanceToAngle(-80), -120);
+  assert.equal(mapPerformanceToAngle(40, curve('linear', { clamp: { min: -50, max: 30 } })), 90);
+  assert.equal(mapPerformanceToAngle(80, curve('linear', { clamp: { min: -100, max: 100 } })), 120);
+});
+
+test('the monotone curve never overshoots or turns back', () => {
+  const steep = curve('monotone', {
+    anchors: [
+      { performance: -50, angle: -120 },
+      { performance: -1, angle: -5 },
+      { performance: 0, angle: 0 },
+      { performance: 1, angle: 60 },
+      { performance: 2, angle: 60 },
+      { performance: 50, angle: 120 }
+    ]
+  });
+  let previous = -Infinity;
+  for (let pct = -50; pct <= 50; pct += 0.25) {
+    const angle = mapPerformanceToAngle(pct, steep);
+    assert.ok(angle >= previous - 1e-9, `turns back at ${pct}%`);
+    previous = angle;
+  }
+  // Flat band between two equal anchors stays flat
+  assert.equal(mapPerformanceToAngle(1.5, steep), 60);
+});
+
+test('places hurdles where the matching performance points', () => {
+  assert.equal(mapHurdlePercentToAngle(100), 0);
+  assert.equal(mapHurdlePercentToAngle(130), 90);
+  assert.equal(mapHurdlePercentToAngle(70), -90);
+});
+
+test('resolves a custom curve with fallbacks', () => {
+  assert.deepEqual(resolvePointerCurve(undefined), DEFAULT_POINTER_CURVE);
+
+  const resolved = resolvePointerCurve({
+    pointer_curve: {
+      anchors: [{ performance: 20, angle: 90 }, { performance: 'x', angle: 0 }, { performance: -20, angle: -90 }, { performance: 20, angle: 80 }],
+      mode: 'cubic',
+      clamp: { max: 15 }
+    }
+  });
+  assert.deepEqual(resolved.anchors, [{ performance: -20, angle: -90 }, { performance: 20, angle: 90 }]);
+  assert.equal(resolved.mode, 'linear');
+  assert.deepEqual(resolved.clamp, { min: -50, max: 15 });
+
+  assert.equal(resolvePointerCurve({ pointer_curve: { anchors: [{ performance: 0, angle: 0 }] } }).anchors, DEFAULT_POINTER_CURVE.anchors);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadPortfolio, slugify } from '../scripts/portfolio.js';
+
+// Load a portfolio written to a temporary file or directory
+const withPortfolio = (write, check) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-'));
+  try {
+    check(loadPortfolio(write(dir)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const writeFile = (plans) => (dir) => {
+  const file = path.join(dir, 'portfolio.json');
+  fs.writeFileSync(file, JSON.stringify(plans));
+  return file;
+};
+
+test('slugifies plan names for folders', () => {
+  assert.equal(slugify('Mariana 10:10 – FTSE'), 'mariana-10-10-ftse');
+  assert.equal(slugify('Crédit & Co'), 'credit-and-co');
+  assert.equal(slugify('–'), 'plan');
+});
+
+test('reads a single plan file as a non-batch portfolio', () => {
+  withPortfolio(writeFile({ plan_name: 'FTSE' }), ({ isBatch, entries }) => {
+    assert.equal(isBatch, false);
+    assert.deepEqual(entries.map(entry => entry.slug), ['ftse']);
+  });
+});
+
+test('accepts an array or a plans object', () => {
+  withPortfolio(writeFile({ plans: [{ plan_name: 'FTSE' }, {}] }), ({ isBatch, entries }) => {
+    assert.equal(isBatch, true);
+    assert.deepEqual(entries.map(entry => entry.slug), ['ftse', 'plan-2']);
+  });
+});
+
+test('keeps slugs unique when a suffix matches another plan\'s name', () => {
+  const plans = ['FTSE', 'FTSE', 'FTSE 2', 'FTSE 2'].map(plan_name => ({ plan_name }));
+  withPortfolio(writeFile(plans), ({ entries }) => {
+    assert.deepEqual(entries.map(entry => entry.slug), ['ftse', 'ftse-2', 'ftse-2-2', 'ftse-2-3']);
+  });
+});
+
+test('records unreadable files in a directory without stopping the others', () => {
+  const write = (dir) => {
+    fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ plan_name: 'FTSE' }));
+    fs.writeFileSync(path.join(dir, 'b.json'), '{ not json');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+    return dir;
+  };
+  withPortfolio(write, ({ isBatch, entries }) => {
+    assert.equal(isBatch, true);
+    assert.deepEqual(entries.map(entry => entry.slug), ['ftse', 'b']);
+    assert.ok(entries[0].plan);
+    assert.match(entries[1].error, /^Could not read plan: /);
+  });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePriceHistory,
+  officialCloses,
+  checkPriceHistory,
+  latestOfficialClose,
+  applyPriceHistory
+} from '../src/utils/prices.js';
+
+const rows = (closes) => Object.entries(closes).map(([date, close]) => ({ date, time: null, close, low: null }));
+
+test('parses CSV with level, time and low columns in any order', () => {
+  const csv = 'Time,Level,Date,Low\n16:30,7400.5,2025-01-02,7390\n\n12:00,7410,2025-01-03,\n';
+  assert.deepEqual(parsePriceHistory(csv, 'csv'), [
+    { date: '2025-01-02', time: '16:30', close: 7400.5, low: 7390 },
+    { date: '2025-01-03', time: '12:00', close: 7410, low: null }
+  ]);
+  assert.throws(() => parsePriceHistory('day,price\n2025-01-02,1', 'csv'), /expected "date" and "close"/);
+});
+
+test('parses JSON arrays and date maps', () => {
+  assert.deepEqual(parsePriceHistory('[{"date":"2025-01-02","level":7400}]'), [
+    { date: '2025-01-02', time: null, close: 7400, low: null }
+  ]);
+  assert.deepEqual(parsePriceHistory({ '2025-01-02': '7400' }), [
+    { date: '2025-01-02', time: null, close: 7400, low: null }
+  ]);
+  assert.throws(() => parsePriceHistory('42'), /expected an array of closes/);
+});
+
+test('takes the last print at or before the close time as the official close', () => {
+  const prints = [
+    { date: '2025-01-02', time: '12:00', close: 100, low: null },
+    { date: '2025-01-02', time: '16:30', close: 101, low: null },
+    { date: '2025-01-02', time: '17:05', close: 150, low: null },
+    { date: '2025-01-01', time: null, close: 99, low: null }
+  ];
+  assert.deepEqual(officialCloses(prints).map(row => [row.date, row.close]), [['2025-01-01', 99], ['2025-01-02', 101]]);
+});
+
+test('accepts a clean history across bank holidays', () => {
+  // Good Friday and Easter Monday 2024 are not gaps
+  assert.deepEqual(checkPriceHistory(rows({ '2024-03-28': 100, '2024-04-02': 101 })), { valid: true, errors: [] });
+});
+
+test('reports runs of missing business days beyond the limit', () => {
+  const { errors } = checkPriceHistory(rows({ '2024-03-26': 100, '2024-04-03': 101 }));
+  assert.deepEqual(errors.map(error => error.message), ['3 business days missing between 2024-03-26 and 2024-04-03']);
+  assert.equal(checkPriceHistory(rows({ '2024-03-27': 100, '2024-04-03': 101 })).valid, true);
+});
+
+test('reports a bad tick once and measures later moves from the last good close', () => {
+  const { errors } = checkPriceHistory(rows({ '2025-01-06': 100, '2025-01-07': 1000, '2025-01-08': 101 }));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /^2025-01-07: close 1000 moves 900\.0% from 100 on 2025-01-06/);
+});
+
+test('rejects malformed rows', () => {
+  const { errors } = checkPriceHistory([
+    { date: '2025-02-30', time: null, close: 100, low: null },
+    { date: '2025-01-06', time: '25:00', close: 100, low: null },
+    { date: '2025-01-07', time: null, close: -5, low: null },
+    { date: '2025-01-08', time: null, close: 100, low: 120 },
+    { date: '2025-01-09', time: null, close: 100, low: null },
+    { date: '2025-01-09', time: null, close: 100, low: null }
+  ]);
+  assert.deepEqual(errors.map(error => error.date), ['2025-02-30', '2025-01-06', '2025-01-07', '2025-01-08', '2025-01-09']);
+  assert.deepEqual(checkPriceHistory([]).errors, [{ date: null, message: 'no official closes found' }]);
+});
+
+test('makes a close official only once its close time has passed', () => {
+  const history = rows({ '2025-01-02': 100, '2025-01-03': 101 });
+  assert.deepEqual(latestOfficialClose(history, { asOf: new Date('2025-01-03T16:29:59Z') }), { date: '2025-01-02', close: 100 });
+  assert.deepEqual(latestOfficialClose(history, { asOf: new Date('2025-01-03T16:30:00Z') }), { date: '2025-01-03', close: 101 });
+  assert.equal(latestOfficialClose(history, { asOf: new Date('2025-01-01T00:00:00Z') }), null);
+});
+
+test('fills current_level and current_date at the plan close time', () => {
+  const plan = { plan_name: 'Test', market_close_time_gmt: '21:00' };
+  const history = rows({ '2025-01-02': 100, '2025-01-03': 101 });
+  assert.deepEqual(applyPriceHistory(plan, history, { asOf: new Date('2025-01-03T18:00:00Z') }), {
+    ...plan, current_level: 100, current_date: '2025-01-02'
+  });
+  assert.throws(() => applyPriceHistory(plan, history, { asOf: new Date('2025-01-01T00:00:00Z') }), /No official close on or before/);
+  assert.throws(() => applyPriceHistory(plan, rows({ '2025-01-02': 0 })), /Invalid price history: 2025-01-02: close 0/);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bankHolidays, isBusinessDay, rollBusinessDay, generateSchedule } from '../src/utils/schedule.js';
+
+test('lists the England & Wales bank holidays, with Easter from the lunar rule', () => {
+  assert.deepEqual(bankHolidays(2024), [
+    '2024-01-01', '2024-03-29', '2024-04-01', '2024-05-06',
+    '2024-05-27', '2024-08-26', '2024-12-25', '2024-12-26'
+  ]);
+  assert.deepEqual(bankHolidays(2025).slice(1, 3), ['2025-04-18', '2025-04-21']);
+  assert.deepEqual(bankHolidays(2019).slice(1, 3), ['2019-04-19', '2019-04-22']);
+});
+
+test('substitutes weekend Christmas, Boxing Day and New Year', () => {
+  // Saturday and Sunday: Monday 27th and Tuesday 28th
+  assert.deepEqual(bankHolidays(2021).slice(-2), ['2021-12-27', '2021-12-28']);
+  // Christmas on a Sunday: Boxing Day keeps Monday, Christmas moves to Tuesday
+  assert.deepEqual(bankHolidays(2022).slice(-2), ['2022-12-26', '2022-12-27']);
+  // New Year's Day on a Saturday
+  assert.equal(bankHolidays(2022)[0], '2022-01-03');
+});
+
+test('applies moved and one-off holidays', () => {
+  const holidays = bankHolidays(2022);
+  assert.ok(!holidays.includes('2022-05-30'));
+  assert.ok(holidays.includes('2022-06-02'));
+  assert.ok(holidays.includes('2022-06-03'));
+  assert.ok(holidays.includes('2022-09-19'));
+  assert.ok(bankHolidays(2023).includes('2023-05-08'));
+});
+
+test('treats weekends and bank holidays as closed', () => {
+  assert.equal(isBusinessDay('2024-03-28'), true);
+  assert.equal(isBusinessDay('2024-03-29'), false);
+  assert.equal(isBusinessDay('2024-03-30'), false);
+  assert.equal(isBusinessDay('2024-04-01'), false);
+  assert.equal(isBusinessDay('2024-04-02'), true);
+});
+
+test('rolls by the chosen convention', () => {
+  // Saturday before Easter 2024: the next business day is in April
+  assert.equal(rollBusinessDay('2024-03-30', 'following'), '2024-04-02');
+  assert.equal(rollBusinessDay('2024-03-30', 'modified-following'), '2024-03-28');
+  assert.equal(rollBusinessDay('2024-03-30', 'none'), '2024-03-30');
+  assert.equal(rollBusinessDay('2024-06-15'), '2024-06-17');
+  assert.equal(rollBusinessDay('2024-06-14'), '2024-06-14');
+  assert.throws(() => rollBusinessDay('2024-06-15', 'preceding'), /Unknown roll convention "preceding"/);
+});
+
+test('schedules from month ends without drifting', () => {
+  const dates = generateSchedule({ startDate: '2024-01-31', tenorYears: 0.25, frequency: 'monthly' }).map(obs => obs.date);
+  assert.deepEqual(dates, ['2024-02-29', '2024-03-28', '2024-04-30']);
+});
+
+test('keeps a rolled final date on or before maturity', () => {
+  // Maturity 2025-12-28 is a Sunday; the 29th would pass it, and 25th / 26th are holidays
+  const observations = generateSchedule({ startDate: '2024-12-28', tenorYears: 1, roll: 'following' });
+  assert.deepEqual(observations.map(obs => obs.date), ['2025-12-24']);
+});
+
+test('skips the non-call period', () => {
+  const observations = generateSchedule({ startDate: '2024-01-15', tenorYears: 2, frequency: 'quarterly', nonCallMonths: 12 });
+  assert.equal(observations.length, 5);
+  assert.equal(observations[0].date, '2025-01-15');
+});
+
+test('steps hurdles down every few observations to a floor', () => {
+  const hurdles = (options) => generateSchedule({ startDate: '2024-01-15', tenorYears: 2, frequency: 'quarterly', ...options })
+    .map(obs => obs.hurdle_percent);
+  assert.deepEqual(hurdles({ hurdleStep: -5, stepEvery: 2 }), [100, 100, 95, 95, 90, 90, 85, 85]);
+  assert.deepEqual(hurdles({ hurdleStep: -5, stepEvery: 2, hurdleLimit: 90 }), [100, 100, 95, 95, 90, 90, 90, 90]);
+  assert.deepEqual(hurdles({ firstHurdle: 140, hurdleStep: 5 }), [140, 145, 150, 150, 150, 150, 150, 150]);
+});
+
+test('rejects bad schedule options', () => {
+  assert.throws(() => generateSchedule({ startDate: '2024-01-15', tenorYears: 2, frequency: 'weekly' }), /Unknown frequency "weekly"/);
+  assert.throws(() => generateSchedule({ startDate: 'soon', tenorYears: 2 }), /Invalid start date/);
+  assert.throws(() => generateSchedule({ startDate: '2024-01-15', tenorYears: 0 }), /Invalid tenor/);
+});
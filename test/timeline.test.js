@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { addDays, addMonths, isISODate, frameDates, levelOnDate, planAtDate, nextObservation } from '../src/utils/timeline.js';
+import { buildScene } from '../src/utils/scene.js';
+import { describePlan } from '../src/utils/description.js';
+import { resolveCentreState } from '../src/utils/centreState.js';
+import { formatDate } from '../src/utils/locale.js';
+
+test('clamps month arithmetic to the end of shorter months', () => {
+  assert.equal(addMonths('2024-01-31', 1), '2024-02-29');
+  assert.equal(addMonths('2023-01-31', 1), '2023-02-28');
+  assert.equal(addMonths('2024-02-29', 12), '2025-02-28');
+  assert.equal(addMonths('2024-03-31', -1), '2024-02-29');
+  assert.equal(addMonths('2024-11-30', 3), '2025-02-28');
+  // Each step starts from the original date, so month ends do not drift
+  assert.equal(addMonths('2024-01-31', 2), '2024-03-31');
+});
+
+test('adds days across leap days and clock changes', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-03-30', 2), '2024-04-01');
+  assert.equal(addDays('2025-01-01', -1), '2024-12-31');
+});
+
+test('accepts only real YYYY-MM-DD dates', () => {
+  assert.equal(isISODate('2024-02-29'), true);
+  assert.equal(isISODate('2023-02-29'), false);
+  assert.equal(isISODate('2024-2-9'), false);
+  assert.equal(isISODate('2024-02-29T00:00:00Z'), false);
+  assert.equal(isISODate(20240229), false);
+});
+
+test('lists frames by day or week, always ending on the end date', () => {
+  assert.deepEqual(frameDates('2024-02-27', '2024-03-01'), ['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']);
+  assert.deepEqual(frameDates('2024-01-01', '2024-01-20', 'week'), ['2024-01-01', '2024-01-08', '2024-01-15', '2024-01-20']);
+  assert.deepEqual(frameDates('2024-01-02', '2024-01-01'), []);
+  assert.throws(() => frameDates('2024-01-01', '2024-02-01', 'month'), /Unknown frame step "month"/);
+  assert.throws(() => frameDates('soon', '2024-02-01'), /Invalid frame range/);
+});
+
+test('carries the last known level forward', () => {
+  const levels = { '2024-01-02': 100, '2024-01-05': 105 };
+  assert.equal(levelOnDate(levels, '2024-01-05'), 105);
+  assert.equal(levelOnDate(levels, '2024-01-04'), 100);
+  assert.equal(levelOnDate(levels, '2024-01-01'), null);
+  assert.equal(levelOnDate(null, '2024-01-04'), null);
+});
+
+test('rebuilds the plan as it stood on a date', () => {
+  const plan = {
+    current_date: '2026-06-30',
+    current_level: 120,
+    observations: [
+      { date: '2025-01-02', triggered: false },
+      { date: '2026-01-02', triggered: true }
+    ],
+    is_called: true,
+    called_date: '2026-01-02',
+    barrier_breach: { breached: true, first_breach_date: '2025-06-02' }
+  };
+
+  const before = planAtDate(plan, '2025-03-01', { '2025-02-28': 90 });
+  assert.equal(before.current_date, '2025-03-01');
+  assert.equal(before.current_level, 90);
+  assert.deepEqual(before.observations.map(obs => obs.triggered), [false, false]);
+  assert.deepEqual([before.is_called, before.called_date, before.barrier_breach], [false, null, null]);
+
+  // Called and breached on the very day
+  const onCall = planAtDate(plan, '2026-01-02');
+  assert.equal(onCall.current_level, 120);
+  assert.deepEqual([onCall.is_called, onCall.called_date], [true, '2026-01-02']);
+  assert.deepEqual(onCall.observations.map(obs => obs.triggered), [false, true]);
+  assert.equal(planAtDate(plan, '2025-06-02').barrier_breach.breached, true);
+});
+
+test('takes the next observation after current_date, not one on it', () => {
+  const observations = [
+    { date: '2027-01-04', hurdle_percent: 100 },
+    { date: '2026-01-02', hurdle_percent: 105 }
+  ];
+  assert.equal(nextObservation({ current_date: '2025-06-30', observations }).date, '2026-01-02');
+  assert.equal(nextObservation({ current_date: '2026-01-02', observations }).date, '2027-01-04');
+  assert.equal(nextObservation({ current_date: '2027-01-04', observations }), null);
+  assert.equal(nextObservation({ current_date: '2026-01-02' }), null);
+});
+
+test('names the same next observation in the scene, description and centre state on an observation day', () => {
+  const data = JSON.parse(fs.readFileSync(new URL('../input.json', import.meta.url), 'utf8'));
+  const [observed, following] = [...data.observations].sort((a, b) => a.date.localeCompare(b.date));
+  const plan = { ...data, current_date: observed.date, centre_state: undefined };
+
+  assert.equal(buildScene(plan).levelArrows.next.date, following.date);
+  assert.match(resolveCentreState(plan).reason, new RegExp(`hurdle on ${following.date}`));
+  const { value } = describePlan(plan).facts.find(({ label }) => label === 'Next observation');
+  assert.ok(value.startsWith(formatDate(following.date)), value);
+});
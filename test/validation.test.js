@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { validatePlan, errorsByPath } from '../src/utils/validation.js';
+
+const samplePlan = () => JSON.parse(fs.readFileSync(new URL('../input.json', import.meta.url), 'utf8'));
+
+const pathsOf = (data) => validatePlan(data).errors.map(error => error.path);
+
+test('the sample plan is valid', () => {
+  assert.deepEqual(validatePlan(samplePlan()), { valid: true, errors: [] });
+});
+
+test('rejects anything that is not a plan object', () => {
+  for (const value of [null, [], 'plan', 42]) {
+    assert.deepEqual(validatePlan(value).errors, [{ path: '', message: 'Plan must be a JSON object' }]);
+  }
+});
+
+test('reports missing required fields by path', () => {
+  const plan = samplePlan();
+  delete plan.plan_name;
+  delete plan.observations;
+  const errors = errorsByPath(validatePlan(plan).errors);
+  assert.equal(errors.plan_name, 'plan_name is required');
+  assert.equal(errors.observations, 'observations is required');
+});
+
+test('checks types, ranges and formats', () => {
+  const plan = {
+    ...samplePlan(),
+    current_level: '8290',
+    barrier_percent: -60,
+    market_close_time_gmt: '24:00',
+    bottom_arrow_color: '#12345',
+    theme: 'neon'
+  };
+  const errors = errorsByPath(validatePlan(plan).errors);
+  assert.match(errors.current_level, /must be a number \(got "8290"\)/);
+  assert.match(errors.barrier_percent, /between -50 and -30 \(got -60\)/);
+  assert.match(errors.market_close_time_gmt, /HH:MM/);
+  assert.match(errors.bottom_arrow_color, /hex colour/);
+  assert.match(errors.theme, /must be one of default, dark/);
+});
+
+test('rejects impossible calendar dates', () => {
+  assert.deepEqual(pathsOf({ ...samplePlan(), current_date: '2026-02-30' }), ['current_date']);
+});
+
+test('accepts tenors given to the month only', () => {
+  assert.deepEqual(pathsOf({ ...samplePlan(), tenor_years: 6.5 }).filter(p => p === 'tenor_years'), []);
+  assert.match(errorsByPath(validatePlan({ ...samplePlan(), tenor_years: 6.3 }).errors).tenor_years, /whole number of months/);
+});
+
+test('allows null in nullable and optional fields but not required ones', () => {
+  assert.deepEqual(pathsOf({ ...samplePlan(), centre_state: null, counterparty: null }), []);
+  assert.deepEqual(pathsOf({ ...samplePlan(), start_date: null }), ['start_date']);
+});
+
+test('reports observation item errors with their index', () => {
+  const plan = samplePlan();
+  plan.observations[2] = { date: '2028-01-02', hurdle_percent: 200 };
+  plan.observations[4] = 'soon';
+  assert.deepEqual(pathsOf(plan), ['observations[2].hurdle_percent', 'observations[4]']);
+});
+
+test('requires current_date on or after start_date', () => {
+  assert.deepEqual(pathsOf({ ...samplePlan(), current_date: '2024-12-31' }), ['current_date']);
+});
+
+test('keeps observations inside the tenor, maturity included', () => {
+  const plan = samplePlan();
+  plan.observations[0].date = '2025-01-02';
+  plan.observations[9].date = '2035-01-03';
+  assert.deepEqual(pathsOf(plan), ['observations[0].date', 'observations[9].date']);
+
+  const atMaturity = samplePlan();
+  atMaturity.observations[9].date = '2035-01-02';
+  assert.deepEqual(pathsOf(atMaturity), []);
+});
+
+test('flags repeated observation dates against the first', () => {
+  const plan = samplePlan();
+  plan.observations[3].date = plan.observations[2].date;
+  const errors = validatePlan(plan).errors;
+  assert.deepEqual(errors.map(error => error.path), ['observations[3].date']);
+  assert.match(errors[0].message, /repeats observations\[2\]/);
+});
+
+test('checks the barrier breach date', () => {
+  assert.deepEqual(pathsOf({ ...samplePlan(), barrier_breach: { breached: true } }), ['barrier_breach.first_breach_date']);
+  assert.deepEqual(
+    pathsOf({ ...samplePlan(), barrier_breach: { breached: true, first_breach_date: '2026-02-01' } }),
+    ['barrier_breach.first_breach_date']
+  );
+  assert.deepEqual(pathsOf({ ...samplePlan(), barrier_breach: { breached: true, first_breach_date: '2026-01-24' } }), []);
+});
+
+test('ties called_date to is_called and a triggered observation', () => {
+  assert.deepEqual(pathsOf({ ...samplePlan(), is_called: true }), ['called_date']);
+  assert.deepEqual(pathsOf({ ...samplePlan(), called_date: '2026-01-02' }), ['called_date']);
+  assert.deepEqual(pathsOf({ ...samplePlan(), is_called: true, called_date: '2026-01-02' }), ['called_date']);
+
+  const called = { ...samplePlan(), is_called: true, called_date: '2026-01-02' };
+  called.observations[0].triggered = true;
+  assert.deepEqual(pathsOf(called), []);
+});
+
+test('skips cross-field rules on fields that already failed', () => {
+  assert.deepEqual(pathsOf({ ...samplePlan(), start_date: 'soon' }), ['start_date']);
+});
+
+test('checks pointer curve anchors and clamp', () => {
+  const withCurve = (curve) => {
+    const plan = samplePlan();
+    plan.design_tokens.pointer_curve = curve;
+    return plan;
+  };
+  assert.deepEqual(pathsOf(withCurve({ anchors: [{ performance: 0, angle: 0 }] })), ['design_tokens.pointer_curve.anchors']);
+  assert.deepEqual(
+    pathsOf(withCurve({ anchors: [{ performance: 0, angle: 0 }, { performance: 0, angle: 30 }] })),
+    ['design_tokens.pointer_curve.anchors[1].performance']
+  );
+  assert.deepEqual(
+    pathsOf(withCurve({ anchors: [{ performance: 0, angle: 30 }, { performance: 10, angle: 20 }] })),
+    ['design_tokens.pointer_curve.anchors[1].angle']
+  );
+  assert.deepEqual(pathsOf(withCurve({ clamp: { min: 20, max: 20 } })), ['design_tokens.pointer_curve.clamp.max']);
+});
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+// <autocalls-logo> custom element: one self-contained ES module (React and GSAP
+// bundled in) written next to the app build as dist/autocalls-logo.js
+export default defineConfig({
+  plugins: [react()],
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production')
+  },
+  build: {
+    emptyOutDir: false,
+    lib: {
+      entry: 'src/element.jsx',
+      formats: ['es'],
+      fileName: () => 'autocalls-logo.js'
+    }
+  }
+});